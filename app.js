@@ -16,9 +16,15 @@ import shopsRouter from './routes/shops.js'
 import roleRouter from './routes/role.js'
 import permissionRouter from './routes/permission.js'
 import tasksRouter from './routes/tasks.js'
+import executionsRouter from './routes/executions.js'
+import calendarsRouter from './routes/calendars.js'
+import taskTemplatesRouter from './routes/taskTemplates.js'
+import executorRouter from './routes/executor.js'
 import userSettingsRouter from './routes/userSettings.js'
 import { taskScheduler } from './services/taskScheduler.js'
+import { recoverExecutions, startExecutor } from './services/taskExecutor.js'
 import { websocketService } from './services/websocketService.js'
+import { executionRetention } from './services/executionRetention.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -34,9 +40,17 @@ connectDatabase()
 
     // 初始化任务集合和索引
     await initTaskCollections()
+    await backfillExecutionFields()
+
+    // 恢复上次运行遗留的执行状态，并开始处理持久化队列
+    await recoverExecutions()
+    startExecutor()
 
     // 启动任务调度器
     await taskScheduler.start()
+
+    // 定时归档并清理超出保留策略的执行记录
+    executionRetention.start()
   })
   .catch((error) => {
     console.error('❌ 数据库连接失败:', error)
@@ -101,6 +115,10 @@ app.use('/api/permission', permissionRouter)
 app.use('/api/companies', companiesRouter)
 app.use('/api/shops', shopsRouter)
 app.use('/api/tasks', tasksRouter)
+app.use('/api/executions', executionsRouter)
+app.use('/api/calendars', calendarsRouter)
+app.use('/api/task-templates', taskTemplatesRouter)
+app.use('/api/executor', executorRouter)
 
 // catch 404 and forward to error handler
 app.use((req, res, next) => {
@@ -142,6 +160,7 @@ async function initTaskCollections() {
     await tasksCollection.createIndex({ enabled: 1 })
     await tasksCollection.createIndex({ status: 1 })
     await tasksCollection.createIndex({ createdAt: -1 })
+    await tasksCollection.createIndex({ 'dependsOn.taskId': 1 })
 
     console.log('✅ 任务集合索引初始化完成')
 
@@ -152,12 +171,98 @@ async function initTaskCollections() {
     await executionsCollection.createIndex({ taskId: 1, startedAt: -1 })
     await executionsCollection.createIndex({ shopId: 1, startedAt: -1 })
     await executionsCollection.createIndex({ status: 1 })
+    await executionsCollection.createIndex({ parentExecutionId: 1, attempt: 1 })
+    await executionsCollection.createIndex({ chainRootExecutionId: 1, chainDepth: 1 }, { sparse: true })
+    await executionsCollection.createIndex({ startedAt: -1, _id: -1 })
+    await executionsCollection.createIndex({ platform: 1, startedAt: -1 })
+    await executionsCollection.createIndex({ companyId: 1, startedAt: -1 })
+    await executionsCollection.createIndex({ taskType: 1, startedAt: -1 })
 
     console.log('✅ 任务执行记录集合索引初始化完成')
+
+    // 初始化 task_queue 集合（持久化任务队列）
+    const queueCollection = db.collection('task_queue')
+
+    // 创建索引
+    await queueCollection.createIndex({ status: 1, priority: -1, availableAt: 1, createdAt: 1 })
+    await queueCollection.createIndex({ status: 1, leaseExpiresAt: 1 })
+    await queueCollection.createIndex({ executionId: 1 }, { unique: true })
+    await queueCollection.createIndex({ taskId: 1 })
+    await queueCollection.createIndex({ status: 1, platform: 1, companyId: 1 })
+
+    console.log('✅ 任务队列集合索引初始化完成')
+
+    // 初始化 task_fire_locks 集合（多实例触发锁）
+    const fireLocksCollection = db.collection('task_fire_locks')
+
+    // 同一任务的同一次触发只能加锁一次，锁记录 7 天后自动清理
+    await fireLocksCollection.createIndex({ taskId: 1, fireTime: 1 }, { unique: true })
+    await fireLocksCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+    console.log('✅ 任务触发锁集合索引初始化完成')
+
+    // 初始化 task_calendars 集合（禁止执行时段日历）
+    const calendarsCollection = db.collection('task_calendars')
+
+    await calendarsCollection.createIndex({ name: 1 }, { unique: true })
+    await tasksCollection.createIndex({ calendarIds: 1 })
+
+    console.log('✅ 任务日历集合索引初始化完成')
+
+    // 初始化 task_templates 集合（任务模板）
+    const templatesCollection = db.collection('task_templates')
+
+    await templatesCollection.createIndex({ name: 1 }, { unique: true })
+    await templatesCollection.createIndex({ calendarIds: 1 })
+    await tasksCollection.createIndex({ templateId: 1 })
+
+    console.log('✅ 任务模板集合索引初始化完成')
   }
   catch (error) {
     console.error('❌ 初始化任务集合失败:', error)
   }
 }
 
+// 为早期的执行记录补充任务类型、平台和公司主体，用于跨任务筛选
+async function backfillExecutionFields() {
+  try {
+    const db = getDatabase()
+    const executionsCollection = db.collection('task_executions')
+
+    const missing = await executionsCollection.countDocuments({ taskType: { $exists: false } }, { limit: 1 })
+    if (missing === 0) {
+      return
+    }
+
+    const tasks = await db.collection('scheduled_tasks')
+      .find({}, { projection: { taskType: 1 } })
+      .toArray()
+    for (const task of tasks) {
+      await executionsCollection.updateMany(
+        { taskId: task._id, taskType: { $exists: false } },
+        { $set: { taskType: task.taskType } },
+      )
+    }
+
+    const shops = await db.collection('shops')
+      .find({}, { projection: { platform: 1, companyId: 1 } })
+      .toArray()
+    for (const shop of shops) {
+      await executionsCollection.updateMany(
+        { shopId: shop._id, companyId: { $exists: false } },
+        { $set: { companyId: shop.companyId || null } },
+      )
+      await executionsCollection.updateMany(
+        { shopId: shop._id, platform: null },
+        { $set: { platform: shop.platform || null } },
+      )
+    }
+
+    console.log('✅ 执行记录字段补充完成')
+  }
+  catch (error) {
+    console.error('❌ 补充执行记录字段失败:', error)
+  }
+}
+
 export default app
@@ -0,0 +1,271 @@
+import { ObjectId } from 'mongodb'
+import { getDatabase } from '../config/database.js'
+import { successResponse, errorResponse } from '../utils/response.js'
+import { taskScheduler, DEFAULT_TIMEZONE, isValidTimezone } from '../services/taskScheduler.js'
+import { validateCalendar, normalizeRanges } from '../utils/calendar.js'
+
+function formatCalendar(calendar) {
+  return {
+    id: calendar._id.toString(),
+    name: calendar.name,
+    description: calendar.description || '',
+    mode: calendar.mode || 'skip',
+    timezone: calendar.timezone || DEFAULT_TIMEZONE,
+    ranges: calendar.ranges || [],
+    weeklyWindows: calendar.weeklyWindows || [],
+    createdAt: calendar.createdAt,
+    updatedAt: calendar.updatedAt,
+  }
+}
+
+/**
+ * 获取日历列表
+ */
+export async function getCalendars(req, res) {
+  try {
+    const db = getDatabase()
+    const calendarsCollection = db.collection('task_calendars')
+
+    const {
+      page = 1,
+      pageNo = 1,
+      pageSize = 10,
+      keyword = '',
+    } = req.query
+
+    // 支持 page 和 pageNo 两种参数名
+    const pageNum = parseInt(pageNo || page)
+    const size = parseInt(pageSize)
+    const skip = (pageNum - 1) * size
+
+    const query = {}
+    if (keyword) {
+      query.name = { $regex: keyword, $options: 'i' }
+    }
+
+    const total = await calendarsCollection.countDocuments(query)
+
+    const calendars = await calendarsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(size)
+      .toArray()
+
+    res.json(successResponse({
+      pageData: calendars.map(formatCalendar),
+      total,
+      page: pageNum,
+      pageSize: size,
+    }))
+  }
+  catch (error) {
+    console.error('获取日历列表错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 获取日历详情
+ */
+export async function getCalendarById(req, res) {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的日历ID', 400))
+    }
+
+    const db = getDatabase()
+    const calendar = await db.collection('task_calendars').findOne({ _id: new ObjectId(id) })
+
+    if (!calendar) {
+      return res.status(404).json(errorResponse('日历不存在', 404))
+    }
+
+    res.json(successResponse(formatCalendar(calendar)))
+  }
+  catch (error) {
+    console.error('获取日历详情错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 创建日历
+ */
+export async function createCalendar(req, res) {
+  try {
+    const {
+      name,
+      description,
+      mode = 'skip',
+      timezone = DEFAULT_TIMEZONE,
+      ranges = [],
+      weeklyWindows = [],
+    } = req.body
+
+    if (!name) {
+      return res.status(400).json(errorResponse('日历名称不能为空', 400))
+    }
+
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json(errorResponse('无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai', 400))
+    }
+
+    const validationError = validateCalendar({ mode, ranges, weeklyWindows })
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError, 400))
+    }
+
+    const db = getDatabase()
+    const calendarsCollection = db.collection('task_calendars')
+
+    // 检查日历名称是否重复
+    const existing = await calendarsCollection.findOne({ name })
+    if (existing) {
+      return res.status(400).json(errorResponse(`日历名称"${name}"已存在`, 400))
+    }
+
+    const now = new Date()
+    const userId = req.user?.userId || null
+
+    const calendar = {
+      name,
+      description: description || null,
+      mode,
+      timezone,
+      ranges: normalizeRanges(ranges),
+      weeklyWindows,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId ? new ObjectId(userId) : null,
+      updatedBy: userId ? new ObjectId(userId) : null,
+    }
+
+    const result = await calendarsCollection.insertOne(calendar)
+
+    res.status(201).json(successResponse({
+      id: result.insertedId.toString(),
+    }, '日历创建成功'))
+  }
+  catch (error) {
+    console.error('创建日历错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 更新日历
+ */
+export async function updateCalendar(req, res) {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的日历ID', 400))
+    }
+
+    const {
+      name,
+      description,
+      mode,
+      timezone,
+      ranges,
+      weeklyWindows,
+    } = req.body
+
+    const db = getDatabase()
+    const calendarsCollection = db.collection('task_calendars')
+
+    const existing = await calendarsCollection.findOne({ _id: new ObjectId(id) })
+    if (!existing) {
+      return res.status(404).json(errorResponse('日历不存在', 404))
+    }
+
+    // 检查日历名称是否重复（排除自己）
+    if (name && name !== existing.name) {
+      const duplicate = await calendarsCollection.findOne({
+        name,
+        _id: { $ne: new ObjectId(id) },
+      })
+      if (duplicate) {
+        return res.status(400).json(errorResponse(`日历名称"${name}"已存在`, 400))
+      }
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json(errorResponse('无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai', 400))
+    }
+
+    const validationError = validateCalendar({ mode, ranges, weeklyWindows })
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError, 400))
+    }
+
+    const userId = req.user?.userId || null
+    const updateFields = {
+      updatedAt: new Date(),
+      updatedBy: userId ? new ObjectId(userId) : null,
+    }
+    if (name !== undefined) updateFields.name = name
+    if (description !== undefined) updateFields.description = description || null
+    if (mode !== undefined) updateFields.mode = mode
+    if (timezone !== undefined) updateFields.timezone = timezone
+    if (ranges !== undefined) updateFields.ranges = normalizeRanges(ranges)
+    if (weeklyWindows !== undefined) updateFields.weeklyWindows = weeklyWindows
+
+    await calendarsCollection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: updateFields },
+    )
+
+    // 禁止执行时段变化后，重新计算引用该日历的任务的下次执行时间
+    await taskScheduler.refreshCalendarTasks(new ObjectId(id))
+
+    res.json(successResponse(null, '日历更新成功'))
+  }
+  catch (error) {
+    console.error('更新日历错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 删除日历
+ */
+export async function deleteCalendar(req, res) {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的日历ID', 400))
+    }
+
+    const db = getDatabase()
+    const calendarsCollection = db.collection('task_calendars')
+
+    const existing = await calendarsCollection.findOne({ _id: new ObjectId(id) })
+    if (!existing) {
+      return res.status(404).json(errorResponse('日历不存在', 404))
+    }
+
+    // 仍被任务或任务模板引用的日历不能删除
+    const taskCount = await db.collection('scheduled_tasks').countDocuments({ calendarIds: new ObjectId(id) })
+    if (taskCount > 0) {
+      return res.status(400).json(errorResponse(`该日历正在被 ${taskCount} 个任务使用，无法删除`, 400))
+    }
+    const templateCount = await db.collection('task_templates').countDocuments({ calendarIds: new ObjectId(id) })
+    if (templateCount > 0) {
+      return res.status(400).json(errorResponse(`该日历正在被 ${templateCount} 个任务模板使用，无法删除`, 400))
+    }
+
+    await calendarsCollection.deleteOne({ _id: new ObjectId(id) })
+
+    res.json(successResponse(null, '日历删除成功'))
+  }
+  catch (error) {
+    console.error('删除日历错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
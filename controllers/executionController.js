@@ -0,0 +1,296 @@
+import { ObjectId } from 'mongodb'
+import { getDatabase } from '../config/database.js'
+import { successResponse, errorResponse } from '../utils/response.js'
+import { formatExecution } from '../utils/executionFormat.js'
+import { cancelExecution as cancelTaskExecution } from '../services/taskExecutor.js'
+import { websocketService } from '../services/websocketService.js'
+import { executionRetention, validateRetentionPolicy } from '../services/executionRetention.js'
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+// 支持的排序字段，completedAt / duration 排序时只返回已结束的执行
+const SORT_FIELDS = ['startedAt', 'completedAt', 'duration']
+
+// 逗号分隔的多选参数
+function parseList(value) {
+  if (!value) {
+    return null
+  }
+  const list = String(value).split(',').map(item => item.trim()).filter(Boolean)
+  return list.length > 0 ? list : null
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// 游标记录上一页最后一条的排序值和ID，base64url 编码后返回给前端
+function encodeCursor(execution, sortBy) {
+  const value = execution[sortBy]
+  return Buffer.from(JSON.stringify({
+    value: value instanceof Date ? value.toISOString() : value,
+    isDate: value instanceof Date,
+    id: execution._id.toString(),
+  })).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { value, isDate, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    if (!ObjectId.isValid(id)) {
+      return null
+    }
+    return { value: isDate ? new Date(value) : value, id: new ObjectId(id) }
+  }
+  catch (error) {
+    return null
+  }
+}
+
+/**
+ * 查询执行记录（跨任务）
+ * 支持按状态、平台、店铺、公司主体、任务类型、触发方式、时间范围和错误信息筛选，使用游标分页
+ */
+export async function getExecutions(req, res) {
+  try {
+    const {
+      status,
+      platform,
+      shopId,
+      companyId,
+      taskId,
+      taskType,
+      trigger,
+      from,
+      to,
+      error: errorText,
+      sortBy = 'startedAt',
+      order = 'desc',
+      cursor,
+      limit = DEFAULT_PAGE_SIZE,
+    } = req.query
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json(errorResponse(`无效的排序字段，只支持: ${SORT_FIELDS.join(', ')}`, 400))
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json(errorResponse('排序方向只支持 asc 或 desc', 400))
+    }
+
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+    for (const [name, value] of [['店铺', shopId], ['公司主体', companyId], ['任务', taskId]]) {
+      if (value && !ObjectId.isValid(value)) {
+        return res.status(400).json(errorResponse(`无效的${name}ID`, 400))
+      }
+    }
+
+    const query = {}
+
+    const statuses = parseList(status)
+    if (statuses) query.status = { $in: statuses }
+    const platforms = parseList(platform)
+    if (platforms) query.platform = { $in: platforms }
+    const taskTypes = parseList(taskType)
+    if (taskTypes) query.taskType = { $in: taskTypes }
+    const triggers = parseList(trigger)
+    if (triggers) query.trigger = { $in: triggers }
+    if (shopId) query.shopId = new ObjectId(shopId)
+    if (taskId) query.taskId = new ObjectId(taskId)
+
+    // 时间范围按开始时间筛选
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null
+      const toDate = to ? new Date(to) : null
+      if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+        return res.status(400).json(errorResponse('无效的时间范围', 400))
+      }
+      query.startedAt = {
+        ...(fromDate ? { $gte: fromDate } : {}),
+        ...(toDate ? { $lte: toDate } : {}),
+      }
+    }
+
+    if (errorText) {
+      query.error = { $regex: escapeRegex(String(errorText)), $options: 'i' }
+    }
+
+    // 只能查询有权限的公司主体下的执行记录
+    const scope = await websocketService.loadUserScope(req.user)
+    if (companyId) {
+      if (!websocketService.canAccessCompany(scope, companyId)) {
+        return res.status(403).json(errorResponse('无权查看该公司主体的执行记录', 403))
+      }
+      query.companyId = new ObjectId(companyId)
+    }
+    else if (!scope.all) {
+      query.companyId = { $in: [...scope.companyIds].map(id => new ObjectId(id)) }
+    }
+
+    if (sortBy !== 'startedAt') {
+      query[sortBy] = { ...(query[sortBy] || {}), $ne: null }
+    }
+
+    // 游标之后的记录：排序值更靠后，或排序值相同且 ID 更靠后
+    const direction = order === 'asc' ? 1 : -1
+    const compare = direction === 1 ? '$gt' : '$lt'
+    const conditions = [query]
+    if (cursor) {
+      const position = decodeCursor(cursor)
+      if (!position) {
+        return res.status(400).json(errorResponse('无效的分页游标', 400))
+      }
+      conditions.push({
+        $or: [
+          { [sortBy]: { [compare]: position.value } },
+          { [sortBy]: position.value, _id: { [compare]: position.id } },
+        ],
+      })
+    }
+
+    const db = getDatabase()
+    const executions = await db.collection('task_executions')
+      .find(conditions.length > 1 ? { $and: conditions } : query, { projection: { logs: 0 } })
+      .sort({ [sortBy]: direction, _id: direction })
+      .limit(size + 1)
+      .toArray()
+
+    const hasMore = executions.length > size
+    const pageData = executions.slice(0, size)
+
+    res.json(successResponse({
+      pageData: pageData.map(formatExecution),
+      pageSize: size,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(pageData[pageData.length - 1], sortBy) : null,
+    }))
+  }
+  catch (error) {
+    console.error('查询执行记录错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 取消执行
+ */
+export async function cancelExecution(req, res) {
+  try {
+    const { id } = req.params
+    const { reason } = req.body || {}
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的执行记录ID', 400))
+    }
+
+    // 只能取消有权限的公司主体下的执行
+    const existing = await getDatabase().collection('task_executions')
+      .findOne({ _id: new ObjectId(id) }, { projection: { companyId: 1 } })
+    if (!existing) {
+      return res.status(404).json(errorResponse('执行记录不存在', 404))
+    }
+    const scope = await websocketService.loadUserScope(req.user)
+    if (!websocketService.canAccessCompany(scope, existing.companyId?.toString())) {
+      return res.status(403).json(errorResponse('无权取消该公司主体的执行', 403))
+    }
+
+    const execution = await cancelTaskExecution(id, {
+      cancelledBy: req.user ? { userId: req.user.userId, username: req.user.username } : null,
+      reason: reason || '手动取消',
+    })
+
+    res.json(successResponse({
+      id: execution._id.toString(),
+      taskId: execution.taskId.toString(),
+      status: execution.status,
+      cancelledAt: execution.cancelledAt,
+      cancelledBy: execution.cancelledBy,
+    }, '执行已取消'))
+  }
+  catch (error) {
+    console.error('取消执行错误:', error)
+    if (error.message === '执行记录不存在') {
+      return res.status(404).json(errorResponse(error.message, 404))
+    }
+    if (error.message === '执行已结束，无法取消') {
+      return res.status(400).json(errorResponse(error.message, 400))
+    }
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 获取执行记录保留策略
+ */
+export async function getRetentionPolicy(req, res) {
+  try {
+    const policy = await executionRetention.getPolicy()
+    res.json(successResponse(policy))
+  }
+  catch (error) {
+    console.error('获取保留策略错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 修改执行记录保留策略
+ */
+export async function updateRetentionPolicy(req, res) {
+  try {
+    const validationError = validateRetentionPolicy(req.body)
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError, 400))
+    }
+
+    const policy = await executionRetention.updatePolicy(req.body, req.user?.userId)
+    console.log(`[执行记录清理] 保留策略已更新 (操作人: ${req.user?.username || '未知'}):`, policy)
+
+    res.json(successResponse(policy, '保留策略更新成功'))
+  }
+  catch (error) {
+    console.error('修改保留策略错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 预览清理：请求体中可传入待修改的策略字段，不传时按已保存的策略预览
+ */
+export async function previewPurge(req, res) {
+  try {
+    const overrides = req.body || {}
+    const validationError = validateRetentionPolicy(overrides)
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError, 400))
+    }
+
+    const policy = { ...(await executionRetention.getPolicy()), ...overrides }
+    const summary = await executionRetention.preview(policy)
+    res.json(successResponse(summary))
+  }
+  catch (error) {
+    console.error('预览清理执行记录错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 按已保存的策略立即归档并清理执行记录
+ */
+export async function purgeExecutions(req, res) {
+  try {
+    const result = await executionRetention.purge()
+    console.log(`[执行记录清理] 手动清理 ${result.purged} 条执行记录 (操作人: ${req.user?.username || '未知'})${result.archiveFile ? `，归档文件: ${result.archiveFile}` : ''}`)
+
+    res.json(successResponse(result, result.purged > 0 ? `已归档并清理 ${result.purged} 条执行记录` : '没有需要清理的执行记录'))
+  }
+  catch (error) {
+    console.error('清理执行记录错误:', error)
+    if (error.message === '其他实例正在清理执行记录，请稍后再试') {
+      return res.status(409).json(errorResponse(error.message, 409))
+    }
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
@@ -0,0 +1,77 @@
+import { successResponse, errorResponse } from '../utils/response.js'
+import { concurrencyLimits, validateConcurrencyLimits } from '../services/concurrencyLimits.js'
+import { getQueueStatus } from '../services/taskExecutor.js'
+import { websocketService } from '../services/websocketService.js'
+
+/**
+ * 获取执行器并发限制
+ */
+export async function getConcurrencyLimits(req, res) {
+  try {
+    const limits = await concurrencyLimits.get({ fresh: true })
+    res.json(successResponse(limits))
+  }
+  catch (error) {
+    console.error('获取并发限制错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 修改执行器并发限制（所有实例在几秒内生效，无需重启）
+ */
+export async function updateConcurrencyLimits(req, res) {
+  try {
+    const validationError = validateConcurrencyLimits(req.body)
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError, 400))
+    }
+
+    const limits = await concurrencyLimits.update(req.body, req.user?.userId)
+    console.log(`[执行器配置] 并发限制已更新 (操作人: ${req.user?.username || '未知'}):`, limits)
+
+    res.json(successResponse(limits, '并发限制更新成功'))
+  }
+  catch (error) {
+    console.error('修改并发限制错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 获取执行队列状态：当前占用的并发名额，以及每个等待中任务的等待原因
+ * 按公司主体的占用和等待中的任务只返回有权限的部分
+ */
+export async function getExecutorStatus(req, res) {
+  try {
+    const { limits, running, waiting } = await getQueueStatus()
+
+    const scope = await websocketService.loadUserScope(req.user)
+    const canAccess = companyId => websocketService.canAccessCompany(scope, companyId)
+    const pickCompanies = map => Object.fromEntries(Object.entries(map || {}).filter(([companyId]) => canAccess(companyId)))
+
+    res.json(successResponse({
+      limits: { ...limits, companyLimits: pickCompanies(limits.companyLimits) },
+      running: { ...running, companies: pickCompanies(running.companies) },
+      waiting: waiting.filter(({ job }) => canAccess(job.companyId?.toString())).map(({ job, position, waitReason, waitReasonText, estimatedStartAt }) => ({
+        position,
+        jobId: job._id.toString(),
+        executionId: job.executionId.toString(),
+        taskId: job.taskId.toString(),
+        taskType: job.taskType,
+        platform: job.platform || null,
+        companyId: job.companyId?.toString() || null,
+        priority: job.priorityLevel || 'normal',
+        attempt: job.attempt || 1,
+        availableAt: job.availableAt,
+        estimatedStartAt,
+        waitReason,
+        waitReasonText,
+      })),
+    }))
+  }
+  catch (error) {
+    console.error('获取执行队列状态错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
@@ -2,7 +2,181 @@ import { ObjectId } from 'mongodb'
 import cron from 'node-cron'
 import { getDatabase } from '../config/database.js'
 import { successResponse, errorResponse } from '../utils/response.js'
-import { taskScheduler } from '../services/taskScheduler.js'
+import { taskScheduler, DEFAULT_TIMEZONE, isValidTimezone } from '../services/taskScheduler.js'
+import { resolveTaskTimeout, cancelTaskExecutions, getQueueStatus, enqueueExecution } from '../services/taskExecutor.js'
+import { JOB_PRIORITIES, jobQueue } from '../services/jobQueue.js'
+import { validateRetryPolicy } from '../utils/retryPolicy.js'
+import { describeCron } from '../utils/cronDescription.js'
+import { validateJitter } from '../utils/jitter.js'
+import { formatExecution } from '../utils/executionFormat.js'
+import {
+  VALID_TASK_TYPES,
+  validateTimeoutMs,
+  validateMisfirePolicy,
+  validateTaskFields,
+  resolveCalendarIds,
+  TEMPLATE_FIELDS,
+  pickTemplateOverrides,
+  resolveTemplateFields,
+} from '../utils/taskFields.js'
+import { websocketService } from '../services/websocketService.js'
+
+// 下游任务的触发条件：上游执行成功、最终失败或无论结果
+const DEPENDENCY_TRIGGERS = ['success', 'failure', 'always']
+
+// 统计接口的分组维度、时间分桶方式和最大时间窗口
+const STATS_GROUP_FIELDS = { platform: 'platform', shop: 'shopId', company: 'companyId', taskType: 'taskType' }
+const STATS_BUCKET_FORMATS = { hour: '%Y-%m-%d %H:00', day: '%Y-%m-%d' }
+const STATS_MAX_WINDOW_MS = 90 * 24 * 60 * 60 * 1000
+const STATS_FAILURE_STATUSES = ['failed', 'timed_out']
+const STATS_TOP_FAILURE_REASONS = 5
+
+// 批量操作支持的动作和单次最多处理的条数
+const BULK_ACTIONS = ['create', 'enable', 'disable', 'update_cron', 'run', 'delete']
+const MAX_BULK_ITEMS = 500
+
+// 验证任务依赖的上游任务，返回转换后的依赖列表或错误信息
+async function resolveDependsOn(dependsOn, taskId = null) {
+  if (dependsOn === null) {
+    return { dependsOn: [] }
+  }
+  if (!Array.isArray(dependsOn)) {
+    return { error: '任务依赖必须是数组' }
+  }
+  for (const dependency of dependsOn) {
+    if (!ObjectId.isValid(dependency?.taskId)) {
+      return { error: '无效的上游任务ID' }
+    }
+    if (!DEPENDENCY_TRIGGERS.includes(dependency.on)) {
+      return { error: `无效的触发条件，只支持: ${DEPENDENCY_TRIGGERS.join(', ')}` }
+    }
+    if (taskId && String(dependency.taskId) === String(taskId)) {
+      return { error: '任务不能依赖自身' }
+    }
+  }
+
+  const normalized = dependsOn.map(dependency => ({
+    taskId: new ObjectId(dependency.taskId),
+    on: dependency.on,
+  }))
+
+  const tasksCollection = getDatabase().collection('scheduled_tasks')
+  const upstreamIds = [...new Set(normalized.map(dependency => dependency.taskId.toString()))]
+  const count = await tasksCollection.countDocuments({ _id: { $in: upstreamIds.map(id => new ObjectId(id)) } })
+  if (count !== upstreamIds.length) {
+    return { error: '上游任务不存在' }
+  }
+
+  // 沿上游任务的依赖向上查找，如果能回到当前任务则形成循环依赖
+  if (taskId) {
+    const visited = new Set()
+    let frontier = upstreamIds
+    while (frontier.length > 0) {
+      if (frontier.includes(String(taskId))) {
+        return { error: '任务依赖形成了循环' }
+      }
+      frontier.forEach(id => visited.add(id))
+      const upstreamTasks = await tasksCollection
+        .find({ _id: { $in: frontier.map(id => new ObjectId(id)) } }, { projection: { dependsOn: 1 } })
+        .toArray()
+      frontier = [...new Set(upstreamTasks
+        .flatMap(task => (task.dependsOn || []).map(dependency => dependency.taskId.toString()))
+        .filter(id => !visited.has(id)))]
+    }
+  }
+
+  return { dependsOn: normalized }
+}
+
+// 读取任务关联的模板，并检查任务类型是否与模板一致
+async function loadTaskTemplate(templateId, taskType) {
+  if (!ObjectId.isValid(templateId)) {
+    return { error: '无效的任务模板ID' }
+  }
+  const template = await getDatabase().collection('task_templates').findOne({ _id: new ObjectId(templateId) })
+  if (!template) {
+    return { error: '任务模板不存在' }
+  }
+  if (taskType && taskType !== template.taskType) {
+    return { error: '任务类型与模板不一致' }
+  }
+  return { template }
+}
+
+// 修改任务时处理模板关联：关联模板的任务，本次修改的字段记为覆盖项，其余字段继承模板
+async function resolveTemplateUpdate(oldTask, updateData, calendarResult) {
+  const { clearOverrides = [] } = updateData
+  if (!Array.isArray(clearOverrides) || !clearOverrides.every(field => TEMPLATE_FIELDS.includes(field))) {
+    return { error: `clearOverrides 只能包含: ${TEMPLATE_FIELDS.join(', ')}` }
+  }
+
+  const templateId = updateData.templateId !== undefined ? updateData.templateId : oldTask.templateId
+  if (!templateId) {
+    // 解除关联后保留当前的字段值，不再随模板更新
+    return { fields: updateData.templateId === null && oldTask.templateId ? { templateId: null, templateOverrides: {} } : null }
+  }
+
+  const { template, error } = await loadTaskTemplate(templateId, updateData.taskType || oldTask.taskType)
+  if (error) {
+    return { error }
+  }
+  if (template.platform) {
+    const shop = await getDatabase().collection('shops').findOne(
+      { _id: updateData.shopId ? new ObjectId(updateData.shopId) : oldTask.shopId },
+      { projection: { platform: 1 } },
+    )
+    if (shop && shop.platform !== template.platform) {
+      return { error: '店铺平台与模板不一致' }
+    }
+  }
+
+  // 更换模板时清空原有的覆盖项
+  const relinked = template._id.toString() !== oldTask.templateId?.toString()
+  const overrides = {
+    ...(relinked ? {} : oldTask.templateOverrides || {}),
+    ...pickTemplateOverrides(updateData),
+  }
+  if (overrides.calendarIds !== undefined && calendarResult) {
+    overrides.calendarIds = calendarResult.calendarIds
+  }
+  clearOverrides.forEach(field => delete overrides[field])
+
+  return {
+    fields: {
+      templateId: template._id,
+      templateOverrides: overrides,
+      ...resolveTemplateFields(template, overrides),
+    },
+  }
+}
+
+// 构建新任务文档
+function buildTaskDocument(shop, fields, userId) {
+  return {
+    shopId: shop._id,
+    taskType: fields.taskType,
+    cronExpression: fields.cronExpression,
+    timezone: fields.timezone,
+    enabled: fields.enabled,
+    status: 'pending',
+    config: fields.config,
+    retryPolicy: fields.retryPolicy,
+    misfirePolicy: fields.misfirePolicy,
+    calendarIds: fields.calendarIds,
+    jitter: fields.jitter,
+    priority: fields.priority,
+    dependsOn: fields.dependsOn,
+    timeoutMs: fields.timeoutMs,
+    templateId: fields.templateId || null,
+    templateOverrides: fields.templateOverrides || {},
+    runCount: 0,
+    successCount: 0,
+    failureCount: 0,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    createdBy: userId ? new ObjectId(userId) : null,
+  }
+}
 
 // 获取任务列表
 export async function getTasks(req, res) {
@@ -19,6 +193,7 @@ export async function getTasks(req, res) {
       platform,
       taskType,
       enabled,
+      templateId,
     } = req.query
 
     const pageNum = parseInt(pageNo || page)
@@ -31,6 +206,7 @@ export async function getTasks(req, res) {
     if (platform) query.platform = platform
     if (taskType) query.taskType = taskType
     if (enabled !== undefined) query.enabled = enabled === 'true' || enabled === true
+    if (templateId && ObjectId.isValid(templateId)) query.templateId = new ObjectId(templateId)
 
     // 如果按店铺名称搜索，需要先查找店铺
     if (shopName) {
@@ -72,9 +248,22 @@ export async function getTasks(req, res) {
       .toArray()
     const shopMap = new Map(shops.map(shop => [shop._id.toString(), shop]))
 
+    // 关联执行中任务的最新进度
+    const runningTaskIds = tasks.filter(task => task.status === 'running').map(task => task._id)
+    const runningExecutions = runningTaskIds.length > 0
+      ? await db.collection('task_executions')
+          .find(
+            { taskId: { $in: runningTaskIds }, status: 'running' },
+            { projection: { taskId: 1, progress: 1, lastProgressAt: 1, stalledAt: 1 } },
+          )
+          .toArray()
+      : []
+    const executionMap = new Map(runningExecutions.map(exec => [exec.taskId.toString(), exec]))
+
     // 格式化返回数据
     const result = tasks.map(task => {
       const shop = shopMap.get(task.shopId.toString())
+      const runningExecution = executionMap.get(task._id.toString())
       return {
         id: task._id.toString(),
         shopId: task.shopId.toString(),
@@ -82,6 +271,8 @@ export async function getTasks(req, res) {
         platform: shop?.platform || task.platform || 'unknown',
         taskType: task.taskType,
         cronExpression: task.cronExpression,
+        timezone: task.timezone || DEFAULT_TIMEZONE,
+        serverTimezone: DEFAULT_TIMEZONE,
         enabled: task.enabled !== false, // 默认为 true
         status: task.status || 'pending',
         nextRunAt: task.nextRunAt || null,
@@ -90,6 +281,23 @@ export async function getTasks(req, res) {
         successCount: task.successCount || 0,
         failureCount: task.failureCount || 0,
         config: task.config || {},
+        retryPolicy: task.retryPolicy || null,
+        misfirePolicy: task.misfirePolicy || null,
+        calendarIds: (task.calendarIds || []).map(id => id.toString()),
+        jitter: task.jitter || null,
+        priority: task.priority || 'normal',
+        dependsOn: (task.dependsOn || []).map(dependency => ({ taskId: dependency.taskId.toString(), on: dependency.on })),
+        deferredUntil: task.deferredUntil || null,
+        lastSkippedAt: task.lastSkippedAt || null,
+        lastSkipReason: task.lastSkipReason || null,
+        nextRetryAt: task.nextRetryAt || null,
+        timeoutMs: task.timeoutMs || null,
+        effectiveTimeoutMs: resolveTaskTimeout(task),
+        templateId: task.templateId?.toString() || null,
+        overriddenFields: Object.keys(task.templateOverrides || {}),
+        currentExecutionId: runningExecution?._id.toString() || null,
+        progress: runningExecution?.progress || null,
+        stalled: Boolean(runningExecution?.stalledAt),
         createdAt: task.createdAt,
         updatedAt: task.updatedAt,
       }
@@ -108,30 +316,106 @@ export async function getTasks(req, res) {
   }
 }
 
-// 创建任务
+// 预览 cron 表达式接下来的执行时间
+export async function previewCron(req, res) {
+  try {
+    const {
+      cronExpression,
+      timezone = DEFAULT_TIMEZONE,
+      count = 5,
+    } = req.body
+
+    if (!cronExpression) {
+      return res.status(400).json(errorResponse('Cron表达式不能为空', 400))
+    }
+
+    if (!cron.validate(cronExpression)) {
+      return res.status(400).json(errorResponse('无效的Cron表达式', 400))
+    }
+
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json(errorResponse('无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai', 400))
+    }
+
+    const size = Math.min(Math.max(parseInt(count) || 5, 1), 50)
+    const { nextRunTimes, warnings } = taskScheduler.previewSchedule(cronExpression, { timezone, count: size })
+
+    res.json(successResponse({
+      cronExpression,
+      timezone,
+      serverTimezone: DEFAULT_TIMEZONE,
+      description: describeCron(cronExpression),
+      nextRunTimes,
+      warnings,
+    }))
+  }
+  catch (error) {
+    console.error('预览Cron表达式错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+// 创建任务（传入 templateId 时继承模板字段，显式传入的字段作为覆盖项）
 export async function createTask(req, res) {
   try {
+    const body = { ...req.body }
+    let template = null
+    let templateOverrides = null
+    if (req.body.templateId) {
+      const templateResult = await loadTaskTemplate(req.body.templateId, req.body.taskType)
+      if (templateResult.error) {
+        return res.status(400).json(errorResponse(templateResult.error, 400))
+      }
+      template = templateResult.template
+      templateOverrides = pickTemplateOverrides(req.body)
+      Object.assign(body, { taskType: template.taskType }, resolveTemplateFields(template, templateOverrides))
+    }
+
     const {
       shopId,
       taskType,
       cronExpression,
       enabled = true,
       config = {},
-    } = req.body
+      retryPolicy = null,
+      misfirePolicy = null,
+      calendarIds = [],
+      jitter = null,
+      priority = 'normal',
+      dependsOn = [],
+      timeoutMs = null,
+      timezone = DEFAULT_TIMEZONE,
+    } = body
 
     if (!shopId || !taskType || !cronExpression) {
       return res.status(400).json(errorResponse('店铺ID、任务类型和Cron表达式不能为空', 400))
     }
 
-    // 验证 cron 表达式
-    if (!cron.validate(cronExpression)) {
-      return res.status(400).json(errorResponse('无效的Cron表达式', 400))
+    // 验证 cron 表达式、时区、任务类型及各项策略
+    const fieldsError = validateTaskFields({
+      taskType,
+      cronExpression,
+      timezone,
+      retryPolicy,
+      misfirePolicy,
+      timeoutMs,
+      jitter,
+      priority,
+    })
+    if (fieldsError) {
+      return res.status(400).json(errorResponse(fieldsError, 400))
+    }
+
+    // 验证引用的日历
+    const calendarResult = await resolveCalendarIds(calendarIds)
+    if (calendarResult.error) {
+      return res.status(400).json(errorResponse(calendarResult.error, 400))
     }
 
-    // 验证任务类型
-    const validTaskTypes = ['auto_flow', 'login']
-    if (!validTaskTypes.includes(taskType)) {
-      return res.status(400).json(errorResponse('无效的任务类型，只支持: auto_flow, login', 400))
+    // 验证依赖的上游任务
+    const dependsOnResult = await resolveDependsOn(dependsOn)
+    if (dependsOnResult.error) {
+      return res.status(400).json(errorResponse(dependsOnResult.error, 400))
     }
 
     const db = getDatabase()
@@ -143,6 +427,12 @@ export async function createTask(req, res) {
     if (!shop) {
       return res.status(404).json(errorResponse('店铺不存在', 404))
     }
+    if (template?.platform && template.platform !== shop.platform) {
+      return res.status(400).json(errorResponse('店铺平台与模板不一致', 400))
+    }
+    if (templateOverrides?.calendarIds !== undefined) {
+      templateOverrides.calendarIds = calendarResult.calendarIds
+    }
 
     // 检查该店铺是否已有相同类型的任务
     const existingTask = await tasksCollection.findOne({
@@ -156,20 +446,22 @@ export async function createTask(req, res) {
     }
 
     // 创建任务
-    const task = {
-      shopId: new ObjectId(shopId),
+    const task = buildTaskDocument(shop, {
       taskType,
       cronExpression,
+      timezone,
       enabled: enabled === true || enabled === 'true',
-      status: 'pending',
       config,
-      runCount: 0,
-      successCount: 0,
-      failureCount: 0,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      createdBy: req.user?.userId ? new ObjectId(req.user.userId) : null,
-    }
+      retryPolicy,
+      misfirePolicy,
+      calendarIds: calendarResult.calendarIds,
+      jitter,
+      priority,
+      dependsOn: dependsOnResult.dependsOn,
+      timeoutMs,
+      templateId: template?._id,
+      templateOverrides,
+    }, req.user?.userId)
 
     const result = await tasksCollection.insertOne(task)
     const insertedTask = { ...task, _id: result.insertedId }
@@ -192,9 +484,21 @@ export async function createTask(req, res) {
       platform: shopInfo.platform,
       taskType: insertedTask.taskType,
       cronExpression: insertedTask.cronExpression,
+      timezone: insertedTask.timezone,
+      serverTimezone: DEFAULT_TIMEZONE,
       enabled: insertedTask.enabled,
       status: insertedTask.status,
       config: insertedTask.config,
+      retryPolicy: insertedTask.retryPolicy,
+      misfirePolicy: insertedTask.misfirePolicy,
+      calendarIds: insertedTask.calendarIds.map(id => id.toString()),
+      jitter: insertedTask.jitter,
+      priority: insertedTask.priority,
+      dependsOn: insertedTask.dependsOn.map(dependency => ({ taskId: dependency.taskId.toString(), on: dependency.on })),
+      timeoutMs: insertedTask.timeoutMs,
+      effectiveTimeoutMs: resolveTaskTimeout(insertedTask),
+      templateId: insertedTask.templateId?.toString() || null,
+      overriddenFields: Object.keys(insertedTask.templateOverrides),
       runCount: insertedTask.runCount,
       successCount: insertedTask.successCount,
       failureCount: insertedTask.failureCount,
@@ -249,13 +553,88 @@ export async function updateTask(req, res) {
       return res.status(400).json(errorResponse('无效的Cron表达式', 400))
     }
 
+    // 如果修改了时区，验证名称
+    if (updateData.timezone !== undefined && !isValidTimezone(updateData.timezone)) {
+      return res.status(400).json(errorResponse('无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai', 400))
+    }
+
+    // 如果修改了重试策略，验证格式
+    if (updateData.retryPolicy !== undefined) {
+      const retryPolicyError = validateRetryPolicy(updateData.retryPolicy)
+      if (retryPolicyError) {
+        return res.status(400).json(errorResponse(retryPolicyError, 400))
+      }
+    }
+
+    // 如果修改了补偿策略，验证格式
+    if (updateData.misfirePolicy !== undefined) {
+      const misfirePolicyError = validateMisfirePolicy(updateData.misfirePolicy)
+      if (misfirePolicyError) {
+        return res.status(400).json(errorResponse(misfirePolicyError, 400))
+      }
+    }
+
+    // 如果修改了随机延迟配置，验证格式
+    if (updateData.jitter !== undefined) {
+      const jitterError = validateJitter(updateData.jitter)
+      if (jitterError) {
+        return res.status(400).json(errorResponse(jitterError, 400))
+      }
+    }
+
+    // 如果修改了默认优先级，验证取值
+    if (updateData.priority !== undefined && !Object.keys(JOB_PRIORITIES).includes(updateData.priority)) {
+      return res.status(400).json(errorResponse(`无效的优先级，只支持: ${Object.keys(JOB_PRIORITIES).join(', ')}`, 400))
+    }
+
+    // 如果修改了引用的日历，验证日历是否存在
+    let calendarResult = null
+    if (updateData.calendarIds !== undefined) {
+      calendarResult = await resolveCalendarIds(updateData.calendarIds)
+      if (calendarResult.error) {
+        return res.status(400).json(errorResponse(calendarResult.error, 400))
+      }
+    }
+
+    // 如果修改了任务依赖，验证上游任务并检查循环依赖
+    let dependsOnResult = null
+    if (updateData.dependsOn !== undefined) {
+      dependsOnResult = await resolveDependsOn(updateData.dependsOn, id)
+      if (dependsOnResult.error) {
+        return res.status(400).json(errorResponse(dependsOnResult.error, 400))
+      }
+    }
+
+    // 如果修改了执行超时时间，验证范围
+    if (updateData.timeoutMs !== undefined) {
+      const timeoutError = validateTimeoutMs(updateData.timeoutMs)
+      if (timeoutError) {
+        return res.status(400).json(errorResponse(timeoutError, 400))
+      }
+    }
+
+    // 处理模板关联和覆盖项
+    const templateResult = await resolveTemplateUpdate(oldTask, updateData, calendarResult)
+    if (templateResult.error) {
+      return res.status(400).json(errorResponse(templateResult.error, 400))
+    }
+
     // 构建更新数据
     const updateFields = {}
     if (updateData.shopId !== undefined) updateFields.shopId = new ObjectId(updateData.shopId)
     if (updateData.taskType !== undefined) updateFields.taskType = updateData.taskType
     if (updateData.cronExpression !== undefined) updateFields.cronExpression = updateData.cronExpression
+    if (updateData.timezone !== undefined) updateFields.timezone = updateData.timezone
     if (updateData.enabled !== undefined) updateFields.enabled = updateData.enabled === true || updateData.enabled === 'true'
     if (updateData.config !== undefined) updateFields.config = updateData.config
+    if (updateData.retryPolicy !== undefined) updateFields.retryPolicy = updateData.retryPolicy
+    if (updateData.misfirePolicy !== undefined) updateFields.misfirePolicy = updateData.misfirePolicy
+    if (calendarResult) updateFields.calendarIds = calendarResult.calendarIds
+    if (updateData.jitter !== undefined) updateFields.jitter = updateData.jitter
+    if (updateData.priority !== undefined) updateFields.priority = updateData.priority
+    if (dependsOnResult) updateFields.dependsOn = dependsOnResult.dependsOn
+    if (updateData.timeoutMs !== undefined) updateFields.timeoutMs = updateData.timeoutMs
+    if (templateResult.fields) Object.assign(updateFields, templateResult.fields)
     updateFields.updatedAt = new Date()
 
     // 更新任务
@@ -264,21 +643,25 @@ export async function updateTask(req, res) {
       { $set: updateFields },
     )
 
-    // 重新加载任务到调度器
-    await taskScheduler.loadTasks()
+    // 只同步当前任务的调度
+    await taskScheduler.syncTask(id)
 
     // 获取更新后的任务信息
     const updatedTask = await tasksCollection.findOne({ _id: new ObjectId(id) })
 
     // 广播任务更新事件（包括状态、nextRunAt等）
     if (updatedTask) {
-      const { websocketService } = await import('../services/websocketService.js')
+      // 更换店铺后任务所属的公司主体可能变化，清除推送路由缓存
+      if (updateFields.shopId) {
+        websocketService.invalidateTaskRoute(id)
+      }
       websocketService.broadcastTaskStatusUpdate({
         taskId: id,
         status: updatedTask.status || 'pending',
         enabled: updatedTask.enabled,
         nextRunAt: updatedTask.nextRunAt,
         cronExpression: updatedTask.cronExpression,
+        timezone: updatedTask.timezone || DEFAULT_TIMEZONE,
         updatedAt: updatedTask.updatedAt,
       })
     }
@@ -313,6 +696,13 @@ export async function deleteTask(req, res) {
     // 从调度器中移除任务
     await taskScheduler.removeTask(id)
 
+    // 取消排队中和执行中的执行，并清理队列，避免已删除的任务之后仍被执行
+    await cancelTaskExecutions(id, {
+      cancelledBy: req.user ? { userId: req.user.userId, username: req.user.username } : null,
+      reason: '任务已删除',
+    })
+    await jobQueue.remove({ taskId: new ObjectId(id) })
+
     // 删除任务相关的所有执行记录
     const deleteExecutionsResult = await executionsCollection.deleteMany({
       taskId: new ObjectId(id),
@@ -322,6 +712,12 @@ export async function deleteTask(req, res) {
     // 删除任务
     await tasksCollection.deleteOne({ _id: new ObjectId(id) })
 
+    // 移除其他任务对该任务的依赖
+    await tasksCollection.updateMany(
+      { 'dependsOn.taskId': new ObjectId(id) },
+      { $pull: { dependsOn: { taskId: new ObjectId(id) } } },
+    )
+
     res.json(successResponse(null, '任务删除成功'))
   }
   catch (error) {
@@ -354,8 +750,8 @@ export async function toggleTask(req, res) {
       },
     )
 
-    // 重新加载任务到调度器
-    await taskScheduler.loadTasks()
+    // 只同步当前任务的调度
+    await taskScheduler.syncTask(id)
 
     res.json(successResponse(null, enabled ? '任务已启用' : '任务已禁用'))
   }
@@ -374,10 +770,10 @@ export async function executeTaskNow(req, res) {
       return res.status(400).json(errorResponse('无效的任务ID', 400))
     }
 
-    // 通过任务执行器立即执行任务
-    await taskScheduler.executeTaskNow(id)
+    // 写入执行队列后立即返回，不等待执行完成
+    const { executionId } = await taskScheduler.executeTaskNow(id)
 
-    res.json(successResponse(null, '任务已开始执行'))
+    res.json(successResponse({ executionId: executionId.toString() }, '任务已开始执行'))
   }
   catch (error) {
     console.error('立即执行任务错误:', error)
@@ -385,6 +781,577 @@ export async function executeTaskNow(req, res) {
   }
 }
 
+// 获取任务执行统计：按平台、店铺、公司主体或任务类型分组，可按小时/天分桶
+export async function getTaskStats(req, res) {
+  try {
+    const {
+      groupBy = 'platform',
+      bucket,
+      timezone = DEFAULT_TIMEZONE,
+      from,
+      to,
+    } = req.query
+
+    if (!STATS_GROUP_FIELDS[groupBy]) {
+      return res.status(400).json(errorResponse(`无效的分组维度，只支持: ${Object.keys(STATS_GROUP_FIELDS).join(', ')}`, 400))
+    }
+    if (bucket && !STATS_BUCKET_FORMATS[bucket]) {
+      return res.status(400).json(errorResponse(`无效的时间分桶，只支持: ${Object.keys(STATS_BUCKET_FORMATS).join(', ')}`, 400))
+    }
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json(errorResponse('无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai', 400))
+    }
+
+    // 默认统计最近 24 小时
+    const toDate = to ? new Date(to) : new Date()
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 24 * 60 * 60 * 1000)
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate >= toDate) {
+      return res.status(400).json(errorResponse('无效的时间范围', 400))
+    }
+    if (toDate - fromDate > STATS_MAX_WINDOW_MS) {
+      return res.status(400).json(errorResponse('统计时间范围不能超过 90 天', 400))
+    }
+
+    const match = {
+      startedAt: { $gte: fromDate, $lte: toDate },
+      status: { $in: ['completed', ...STATS_FAILURE_STATUSES, 'cancelled', 'skipped'] },
+    }
+
+    // 只统计有权限的公司主体下的执行记录
+    const scope = await websocketService.loadUserScope(req.user)
+    if (!scope.all) {
+      match.companyId = { $in: [...scope.companyIds].map(id => new ObjectId(id)) }
+    }
+
+    const groupField = STATS_GROUP_FIELDS[groupBy]
+    const groupKey = {
+      key: `$${groupField}`,
+      ...(bucket ? { bucket: { $dateToString: { format: STATS_BUCKET_FORMATS[bucket], date: '$startedAt', timezone } } } : {}),
+    }
+    // 百分位数按最近秩法取值：组内按耗时升序排第 ceil(p * n) 条
+    const percentileRank = p => ({ $ceil: { $multiply: [p, '$count'] } })
+    const durationAtRank = field => ({ $max: { $cond: [{ $eq: ['$rank', `$${field}`] }, '$duration', null] } })
+
+    const db = getDatabase()
+    const executionsCollection = db.collection('task_executions')
+
+    const [groups, durationPercentiles, failureReasons] = await Promise.all([
+      executionsCollection.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: groupKey,
+            total: { $sum: 1 },
+            completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            failed: { $sum: { $cond: [{ $in: ['$status', STATS_FAILURE_STATUSES] }, 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+            skipped: { $sum: { $cond: [{ $eq: ['$status', 'skipped'] }, 1, 0] } },
+            shopName: { $first: '$shopName' },
+          },
+        },
+        { $sort: { '_id.bucket': 1, 'total': -1 } },
+      ]).toArray(),
+      // 耗时百分位数：在组内排序编号后只保留 P50、P95 对应的记录，不把全部耗时收集到数组中
+      executionsCollection.aggregate([
+        { $match: { ...match, status: 'completed', duration: { $type: 'number' } } },
+        { $addFields: { statsKey: groupKey } },
+        {
+          $setWindowFields: {
+            partitionBy: '$statsKey',
+            sortBy: { duration: 1 },
+            output: {
+              rank: { $documentNumber: {} },
+              count: { $count: {} },
+            },
+          },
+        },
+        { $set: { p50Rank: percentileRank(0.5), p95Rank: percentileRank(0.95) } },
+        { $match: { $expr: { $or: [{ $eq: ['$rank', '$p50Rank'] }, { $eq: ['$rank', '$p95Rank'] }] } } },
+        {
+          $group: {
+            _id: '$statsKey',
+            p50: durationAtRank('p50Rank'),
+            p95: durationAtRank('p95Rank'),
+          },
+        },
+      ], { allowDiskUse: true }).toArray(),
+      executionsCollection.aggregate([
+        { $match: { ...match, status: { $in: STATS_FAILURE_STATUSES } } },
+        {
+          $group: {
+            _id: { ...groupKey, errorClass: { $ifNull: ['$errorClass', 'unknown'] } },
+            count: { $sum: 1 },
+            sampleError: { $last: '$error' },
+          },
+        },
+        { $sort: { count: -1 } },
+      ]).toArray(),
+    ])
+
+    const groupId = id => `${id.key ?? ''}|${id.bucket ?? ''}`
+    const percentilesByGroup = new Map(durationPercentiles.map(item => [groupId(item._id), item]))
+    const reasonsByGroup = new Map()
+    for (const reason of failureReasons) {
+      const key = groupId(reason._id)
+      if (!reasonsByGroup.has(key)) {
+        reasonsByGroup.set(key, [])
+      }
+      reasonsByGroup.get(key).push({
+        errorClass: reason._id.errorClass,
+        count: reason.count,
+        sampleError: reason.sampleError || null,
+      })
+    }
+
+    // 公司主体分组时补充公司名称
+    const companyNames = new Map()
+    if (groupBy === 'company') {
+      const companyIds = groups.map(group => group._id.key).filter(Boolean)
+      const companies = await db.collection('companies')
+        .find({ _id: { $in: companyIds } }, { projection: { companyName: 1 } })
+        .toArray()
+      companies.forEach(company => companyNames.set(company._id.toString(), company.companyName))
+    }
+
+    const result = groups.map((group) => {
+      const percentiles = percentilesByGroup.get(groupId(group._id))
+      const finished = group.completed + group.failed
+      const key = group._id.key?.toString() ?? null
+      return {
+        key,
+        label: groupBy === 'shop'
+          ? group.shopName || key
+          : groupBy === 'company' ? companyNames.get(key) || key : key,
+        bucket: group._id.bucket ?? null,
+        total: group.total,
+        completed: group.completed,
+        failed: group.failed,
+        cancelled: group.cancelled,
+        skipped: group.skipped,
+        successRate: finished > 0 ? Number((group.completed / finished).toFixed(4)) : null,
+        p50DurationMs: percentiles?.p50 ?? null,
+        p95DurationMs: percentiles?.p95 ?? null,
+        failureReasons: (reasonsByGroup.get(groupId(group._id)) || []).slice(0, STATS_TOP_FAILURE_REASONS),
+      }
+    })
+
+    res.json(successResponse({
+      from: fromDate,
+      to: toDate,
+      groupBy,
+      bucket: bucket || null,
+      timezone,
+      groups: result,
+    }))
+  }
+  catch (error) {
+    console.error('获取任务执行统计错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+// 校验批量操作的筛选条件
+function validateBulkSelector(selector) {
+  if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+    return '筛选条件格式无效'
+  }
+
+  const { ids, shopIds, platform, companyId, taskType } = selector
+  for (const [name, list] of [['ids', ids], ['shopIds', shopIds]]) {
+    if (list !== undefined && (!Array.isArray(list) || list.length === 0 || !list.every(id => ObjectId.isValid(id)))) {
+      return `${name} 必须是非空的ID数组`
+    }
+  }
+  if (platform !== undefined && (typeof platform !== 'string' || !platform)) {
+    return '无效的平台'
+  }
+  if (companyId !== undefined && !ObjectId.isValid(companyId)) {
+    return '无效的公司主体ID'
+  }
+  if (taskType !== undefined && !VALID_TASK_TYPES.includes(taskType)) {
+    return `无效的任务类型，只支持: ${VALID_TASK_TYPES.join(', ')}`
+  }
+  if (ids === undefined && shopIds === undefined && platform === undefined && companyId === undefined) {
+    return '至少需要指定 ids、shopIds、platform、companyId 中的一个筛选条件'
+  }
+  return null
+}
+
+// 按筛选条件查找权限范围内的店铺，未按店铺筛选时返回 null
+async function findBulkShops(selector, scope) {
+  const { shopIds, platform, companyId } = selector
+  if (shopIds === undefined && platform === undefined && companyId === undefined && scope.all) {
+    return null
+  }
+
+  const query = {}
+  if (shopIds !== undefined) query._id = { $in: shopIds.map(id => new ObjectId(id)) }
+  if (platform !== undefined) query.platform = platform
+  if (companyId !== undefined) query.companyId = new ObjectId(companyId)
+  if (!scope.all) {
+    const allowedIds = companyId !== undefined
+      ? [companyId].filter(id => scope.companyIds.has(id))
+      : [...scope.companyIds]
+    query.companyId = { $in: allowedIds.map(id => new ObjectId(id)) }
+  }
+
+  return getDatabase().collection('shops')
+    .find(query, { projection: { shopName: 1, platform: 1, companyId: 1 } })
+    .toArray()
+}
+
+/**
+ * 批量操作任务
+ * 请求体: { action, selector: { ids, shopIds, platform, companyId, taskType }, params, dryRun }
+ * - create: 为筛选出的、还没有该类型任务的店铺创建任务，params 与创建任务的字段相同（支持 templateId，不支持 dependsOn）
+ * - enable / disable / run / delete: 对筛选出的任务执行对应操作
+ * - update_cron: 修改筛选出的任务的 cron 表达式，params: { cronExpression, timezone }
+ * 所有参数先统一校验，校验不通过时不做任何修改；修改完成后只同步一次调度器
+ */
+export async function bulkTasks(req, res) {
+  try {
+    const { action, selector, params = {}, dryRun = false } = req.body || {}
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json(errorResponse(`无效的批量操作，只支持: ${BULK_ACTIONS.join(', ')}`, 400))
+    }
+
+    const selectorError = validateBulkSelector(selector)
+    if (selectorError) {
+      return res.status(400).json(errorResponse(selectorError, 400))
+    }
+    if (action === 'create' && selector.ids !== undefined) {
+      return res.status(400).json(errorResponse('批量创建按店铺筛选，请使用 shopIds、platform 或 companyId', 400))
+    }
+
+    // 校验操作参数
+    let createFields = null
+    let template = null
+    if (action === 'create') {
+      // 传入 templateId 时继承模板字段，params 中的其他字段作为覆盖项
+      let source = params
+      let templateOverrides = {}
+      if (params.templateId !== undefined) {
+        const templateResult = await loadTaskTemplate(params.templateId, selector.taskType || params.taskType)
+        if (templateResult.error) {
+          return res.status(400).json(errorResponse(templateResult.error, 400))
+        }
+        template = templateResult.template
+        templateOverrides = pickTemplateOverrides(params)
+        source = { ...params, taskType: template.taskType, ...resolveTemplateFields(template, templateOverrides) }
+      }
+
+      createFields = {
+        taskType: selector.taskType || source.taskType,
+        cronExpression: source.cronExpression,
+        timezone: source.timezone || DEFAULT_TIMEZONE,
+        enabled: params.enabled === undefined ? true : params.enabled === true || params.enabled === 'true',
+        config: source.config || {},
+        retryPolicy: source.retryPolicy ?? null,
+        misfirePolicy: source.misfirePolicy ?? null,
+        jitter: source.jitter ?? null,
+        priority: source.priority || 'normal',
+        dependsOn: [],
+        timeoutMs: source.timeoutMs ?? null,
+        templateId: template?._id,
+        templateOverrides,
+      }
+      if (!createFields.taskType || !createFields.cronExpression) {
+        return res.status(400).json(errorResponse('任务类型和Cron表达式不能为空', 400))
+      }
+      const fieldsError = validateTaskFields(createFields)
+      if (fieldsError) {
+        return res.status(400).json(errorResponse(fieldsError, 400))
+      }
+      const calendarResult = await resolveCalendarIds(source.calendarIds || [])
+      if (calendarResult.error) {
+        return res.status(400).json(errorResponse(calendarResult.error, 400))
+      }
+      createFields.calendarIds = calendarResult.calendarIds
+      if (templateOverrides.calendarIds !== undefined) {
+        templateOverrides.calendarIds = calendarResult.calendarIds
+      }
+    }
+    if (action === 'update_cron') {
+      if (!params.cronExpression || !cron.validate(params.cronExpression)) {
+        return res.status(400).json(errorResponse('无效的Cron表达式', 400))
+      }
+      if (params.timezone !== undefined && !isValidTimezone(params.timezone)) {
+        return res.status(400).json(errorResponse('无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai', 400))
+      }
+    }
+
+    const db = getDatabase()
+    const tasksCollection = db.collection('scheduled_tasks')
+    const executionsCollection = db.collection('task_executions')
+
+    // 只操作权限范围内的店铺和任务
+    const scope = await websocketService.loadUserScope(req.user)
+    const shops = await findBulkShops(selector, scope)
+    const shopMap = new Map((shops || []).map(shop => [shop._id.toString(), shop]))
+
+    const results = []
+
+    if (action === 'create') {
+      const existingTasks = await tasksCollection
+        .find({ shopId: { $in: shops.map(shop => shop._id) }, taskType: createFields.taskType }, { projection: { shopId: 1 } })
+        .toArray()
+      const existingShopIds = new Set(existingTasks.map(task => task.shopId.toString()))
+      const platformMismatch = shop => Boolean(template?.platform) && shop.platform !== template.platform
+      const missingShops = shops.filter(shop => !existingShopIds.has(shop._id.toString()) && !platformMismatch(shop))
+
+      if (missingShops.length > MAX_BULK_ITEMS) {
+        return res.status(400).json(errorResponse(`单次最多处理 ${MAX_BULK_ITEMS} 条，当前筛选出 ${missingShops.length} 条，请缩小筛选范围`, 400))
+      }
+
+      for (const shop of shops) {
+        if (existingShopIds.has(shop._id.toString())) {
+          results.push({ shopId: shop._id.toString(), shopName: shop.shopName, status: 'skipped', message: '该店铺已存在同类型任务' })
+        }
+        else if (platformMismatch(shop)) {
+          results.push({ shopId: shop._id.toString(), shopName: shop.shopName, status: 'skipped', message: '店铺平台与模板不一致' })
+        }
+      }
+
+      for (const shop of missingShops) {
+        const item = { shopId: shop._id.toString(), shopName: shop.shopName }
+        if (dryRun) {
+          results.push({ ...item, status: 'pending' })
+          continue
+        }
+        try {
+          const { insertedId } = await tasksCollection.insertOne(buildTaskDocument(shop, createFields, req.user?.userId))
+          results.push({ ...item, taskId: insertedId.toString(), status: 'success' })
+        }
+        catch (error) {
+          // 并发创建时可能被其他请求抢先创建
+          results.push({ ...item, status: 'failed', message: error.code === 11000 ? '该店铺已存在同类型任务' : error.message })
+        }
+      }
+    }
+    else {
+      const query = {}
+      if (selector.ids !== undefined) query._id = { $in: selector.ids.map(id => new ObjectId(id)) }
+      if (shops) query.shopId = { $in: shops.map(shop => shop._id) }
+      if (selector.taskType !== undefined) query.taskType = selector.taskType
+
+      const tasks = await tasksCollection.find(query).toArray()
+      if (tasks.length > MAX_BULK_ITEMS) {
+        return res.status(400).json(errorResponse(`单次最多处理 ${MAX_BULK_ITEMS} 条，当前筛选出 ${tasks.length} 条，请缩小筛选范围`, 400))
+      }
+
+      // 补充不在店铺筛选结果中的店铺名称（按任务ID筛选时）
+      const unknownShopIds = tasks.map(task => task.shopId).filter(shopId => !shopMap.has(shopId.toString()))
+      if (unknownShopIds.length > 0) {
+        const extraShops = await db.collection('shops')
+          .find({ _id: { $in: unknownShopIds } }, { projection: { shopName: 1 } })
+          .toArray()
+        extraShops.forEach(shop => shopMap.set(shop._id.toString(), shop))
+      }
+
+      const taskIds = tasks.map(task => task._id)
+      const items = tasks.map(task => ({
+        taskId: task._id.toString(),
+        shopId: task.shopId.toString(),
+        shopName: shopMap.get(task.shopId.toString())?.shopName || null,
+      }))
+
+      if (selector.ids !== undefined) {
+        const foundIds = new Set(items.map(item => item.taskId))
+        selector.ids.filter(id => !foundIds.has(id)).forEach((id) => {
+          results.push({ taskId: id, status: 'failed', message: '任务不存在或无权限操作' })
+        })
+      }
+
+      if (dryRun) {
+        results.push(...items.map(item => ({ ...item, status: 'pending' })))
+      }
+      else if (action === 'enable' || action === 'disable') {
+        await tasksCollection.updateMany(
+          { _id: { $in: taskIds } },
+          { $set: { enabled: action === 'enable', updatedAt: new Date() } },
+        )
+        results.push(...items.map(item => ({ ...item, status: 'success' })))
+      }
+      else if (action === 'update_cron') {
+        const updateFields = { cronExpression: params.cronExpression, updatedAt: new Date() }
+        if (params.timezone !== undefined) updateFields.timezone = params.timezone
+        await tasksCollection.updateMany({ _id: { $in: taskIds } }, { $set: updateFields })
+
+        // 关联模板的任务记为覆盖项，避免之后修改模板时被覆盖
+        const overrideFields = { 'templateOverrides.cronExpression': params.cronExpression }
+        if (params.timezone !== undefined) overrideFields['templateOverrides.timezone'] = params.timezone
+        await tasksCollection.updateMany(
+          { _id: { $in: taskIds }, templateId: { $ne: null } },
+          { $set: overrideFields },
+        )
+        results.push(...items.map(item => ({ ...item, status: 'success' })))
+      }
+      else if (action === 'delete') {
+        // 先取消排队中和执行中的执行，并清理队列，避免已删除的任务之后仍被执行
+        for (const taskId of taskIds) {
+          await cancelTaskExecutions(taskId, {
+            cancelledBy: req.user ? { userId: req.user.userId, username: req.user.username } : null,
+            reason: '任务已删除',
+          })
+        }
+        await jobQueue.remove({ taskId: { $in: taskIds } })
+
+        const deleteExecutionsResult = await executionsCollection.deleteMany({ taskId: { $in: taskIds } })
+        await tasksCollection.deleteMany({ _id: { $in: taskIds } })
+        await tasksCollection.updateMany(
+          { 'dependsOn.taskId': { $in: taskIds } },
+          { $pull: { dependsOn: { taskId: { $in: taskIds } } } },
+        )
+        console.log(`[批量操作] 已删除 ${taskIds.length} 个任务及 ${deleteExecutionsResult.deletedCount} 条执行记录`)
+        results.push(...items.map(item => ({ ...item, status: 'success' })))
+      }
+      else if (action === 'run') {
+        // 只等待写入队列，不等待执行完成
+        for (const [index, task] of tasks.entries()) {
+          try {
+            const { executionId } = await enqueueExecution(task, { trigger: 'manual' })
+            results.push({ ...items[index], executionId: executionId.toString(), status: 'success' })
+          }
+          catch (error) {
+            results.push({ ...items[index], status: 'failed', message: error.message })
+          }
+        }
+      }
+    }
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter(item => item.status === 'success').length,
+      skipped: results.filter(item => item.status === 'skipped').length,
+      failed: results.filter(item => item.status === 'failed').length,
+    }
+
+    // 所有修改完成后统一同步一次调度器
+    if (!dryRun && action !== 'run' && summary.succeeded > 0) {
+      await taskScheduler.syncTasks()
+
+      if (action !== 'delete') {
+        const changedIds = results
+          .filter(item => item.status === 'success')
+          .map(item => new ObjectId(item.taskId))
+        const changedTasks = await tasksCollection.find({ _id: { $in: changedIds } }).toArray()
+        changedTasks.forEach((task) => {
+          websocketService.broadcastTaskStatusUpdate({
+            taskId: task._id.toString(),
+            status: task.status || 'pending',
+            enabled: task.enabled,
+            nextRunAt: task.nextRunAt,
+            cronExpression: task.cronExpression,
+            timezone: task.timezone || DEFAULT_TIMEZONE,
+            updatedAt: task.updatedAt,
+          })
+        })
+      }
+    }
+
+    console.log(`[批量操作] ${action}${dryRun ? ' (预览)' : ''} (操作人: ${req.user?.username || '未知'}): 成功 ${summary.succeeded}，跳过 ${summary.skipped}，失败 ${summary.failed}`)
+
+    res.json(successResponse({
+      action,
+      dryRun: Boolean(dryRun),
+      ...summary,
+      results,
+    }, dryRun ? '批量操作预览' : '批量操作完成'))
+  }
+  catch (error) {
+    console.error('批量操作任务错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+// 获取执行队列：每个排队任务的位置、优先级、等待原因和预计开始时间
+export async function getTaskQueue(req, res) {
+  try {
+    const { running, waiting: allWaiting } = await getQueueStatus()
+
+    // 只返回有权限的公司主体下的任务，排队位置仍按整个队列计算
+    const scope = await websocketService.loadUserScope(req.user)
+    const waiting = allWaiting.filter(({ job }) => websocketService.canAccessCompany(scope, job.companyId?.toString()))
+
+    // 补充任务触发方式和店铺名称
+    const db = getDatabase()
+    const executions = await db.collection('task_executions')
+      .find(
+        { _id: { $in: waiting.map(({ job }) => job.executionId) } },
+        { projection: { trigger: 1, shopName: 1 } },
+      )
+      .toArray()
+    const executionMap = new Map(executions.map(execution => [execution._id.toString(), execution]))
+
+    res.json(successResponse({
+      running: running.total,
+      total: waiting.length,
+      pageData: waiting.map(({ job, position, waitReason, waitReasonText, estimatedStartAt }) => {
+        const execution = executionMap.get(job.executionId.toString())
+        return {
+          position,
+          taskId: job.taskId.toString(),
+          executionId: job.executionId.toString(),
+          shopId: job.shopId?.toString() || null,
+          shopName: execution?.shopName || null,
+          taskType: job.taskType,
+          platform: job.platform || null,
+          trigger: execution?.trigger || null,
+          priority: job.priorityLevel || 'normal',
+          attempt: job.attempt || 1,
+          availableAt: job.availableAt,
+          estimatedStartAt,
+          waitReason,
+          waitReasonText,
+        }
+      }),
+    }))
+  }
+  catch (error) {
+    console.error('获取执行队列错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+// 取消任务正在排队或执行中的执行
+export async function cancelTask(req, res) {
+  try {
+    const { id } = req.params
+    const { reason } = req.body || {}
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的任务ID', 400))
+    }
+
+    const db = getDatabase()
+    const tasksCollection = db.collection('scheduled_tasks')
+
+    const task = await tasksCollection.findOne({ _id: new ObjectId(id) })
+    if (!task) {
+      return res.status(404).json(errorResponse('任务不存在', 404))
+    }
+
+    const cancelled = await cancelTaskExecutions(id, {
+      cancelledBy: req.user ? { userId: req.user.userId, username: req.user.username } : null,
+      reason: reason || '手动取消',
+    })
+
+    if (cancelled.length === 0) {
+      return res.status(400).json(errorResponse('该任务没有正在排队或执行中的执行', 400))
+    }
+
+    res.json(successResponse({
+      cancelledCount: cancelled.length,
+      executionIds: cancelled.map(execution => execution._id.toString()),
+    }, '任务已取消'))
+  }
+  catch (error) {
+    console.error('取消任务错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
 // 获取任务执行记录
 export async function getTaskExecutions(req, res) {
   try {
@@ -410,20 +1377,7 @@ export async function getTaskExecutions(req, res) {
       .limit(size)
       .toArray()
 
-    const result = executions.map(exec => ({
-      id: exec._id.toString(),
-      taskId: exec.taskId.toString(),
-      shopId: exec.shopId?.toString(),
-      shopName: exec.shopName,
-      platform: exec.platform,
-      status: exec.status,
-      startedAt: exec.startedAt,
-      completedAt: exec.completedAt,
-      duration: exec.duration,
-      result: exec.result,
-      logs: exec.logs || [],
-      error: exec.error,
-    }))
+    const result = executions.map(formatExecution)
 
     res.json(successResponse({
       pageData: result,
@@ -0,0 +1,385 @@
+import { ObjectId } from 'mongodb'
+import { getDatabase } from '../config/database.js'
+import { successResponse, errorResponse } from '../utils/response.js'
+import { taskScheduler, DEFAULT_TIMEZONE } from '../services/taskScheduler.js'
+import {
+  TEMPLATE_FIELDS,
+  validateTaskFields,
+  resolveCalendarIds,
+  resolveTemplateFields,
+} from '../utils/taskFields.js'
+
+function formatTemplate(template, linkedTaskCount) {
+  return {
+    id: template._id.toString(),
+    name: template.name,
+    description: template.description || '',
+    platform: template.platform || null,
+    taskType: template.taskType,
+    cronExpression: template.cronExpression,
+    timezone: template.timezone || DEFAULT_TIMEZONE,
+    config: template.config || {},
+    retryPolicy: template.retryPolicy || null,
+    misfirePolicy: template.misfirePolicy || null,
+    calendarIds: (template.calendarIds || []).map(id => id.toString()),
+    jitter: template.jitter || null,
+    priority: template.priority || 'normal',
+    timeoutMs: template.timeoutMs || null,
+    linkedTaskCount,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  }
+}
+
+// 统计每个模板关联的任务数
+async function countLinkedTasks(templateIds) {
+  const counts = await getDatabase().collection('scheduled_tasks').aggregate([
+    { $match: { templateId: { $in: templateIds } } },
+    { $group: { _id: '$templateId', count: { $sum: 1 } } },
+  ]).toArray()
+  return new Map(counts.map(item => [item._id.toString(), item.count]))
+}
+
+/**
+ * 按模板更新所有关联任务的字段（保留各任务的覆盖项），并重新调度
+ * @returns {Promise<number>} 更新的任务数
+ */
+async function propagateTemplate(template) {
+  const tasksCollection = getDatabase().collection('scheduled_tasks')
+  const tasks = await tasksCollection
+    .find({ templateId: template._id }, { projection: { templateOverrides: 1 } })
+    .toArray()
+
+  if (tasks.length === 0) {
+    return 0
+  }
+
+  const now = new Date()
+  await tasksCollection.bulkWrite(tasks.map(task => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { $set: { ...resolveTemplateFields(template, task.templateOverrides || {}), updatedAt: now } },
+    },
+  })))
+
+  await taskScheduler.refreshTemplateTasks(template._id)
+  return tasks.length
+}
+
+/**
+ * 获取任务模板列表
+ */
+export async function getTemplates(req, res) {
+  try {
+    const db = getDatabase()
+    const templatesCollection = db.collection('task_templates')
+
+    const {
+      page = 1,
+      pageNo = 1,
+      pageSize = 10,
+      keyword = '',
+      platform = '',
+      taskType = '',
+    } = req.query
+
+    // 支持 page 和 pageNo 两种参数名
+    const pageNum = parseInt(pageNo || page)
+    const size = parseInt(pageSize)
+    const skip = (pageNum - 1) * size
+
+    const query = {}
+    if (keyword) {
+      query.name = { $regex: keyword, $options: 'i' }
+    }
+    if (platform) {
+      query.platform = platform
+    }
+    if (taskType) {
+      query.taskType = taskType
+    }
+
+    const total = await templatesCollection.countDocuments(query)
+
+    const templates = await templatesCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(size)
+      .toArray()
+
+    const linkedCounts = await countLinkedTasks(templates.map(template => template._id))
+
+    res.json(successResponse({
+      pageData: templates.map(template => formatTemplate(template, linkedCounts.get(template._id.toString()) || 0)),
+      total,
+      page: pageNum,
+      pageSize: size,
+    }))
+  }
+  catch (error) {
+    console.error('获取任务模板列表错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 获取任务模板详情
+ */
+export async function getTemplateById(req, res) {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的任务模板ID', 400))
+    }
+
+    const db = getDatabase()
+    const template = await db.collection('task_templates').findOne({ _id: new ObjectId(id) })
+
+    if (!template) {
+      return res.status(404).json(errorResponse('任务模板不存在', 404))
+    }
+
+    const linkedCounts = await countLinkedTasks([template._id])
+
+    res.json(successResponse(formatTemplate(template, linkedCounts.get(id) || 0)))
+  }
+  catch (error) {
+    console.error('获取任务模板详情错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 创建任务模板
+ */
+export async function createTemplate(req, res) {
+  try {
+    const {
+      name,
+      description,
+      platform = null,
+      taskType,
+      cronExpression,
+      timezone = DEFAULT_TIMEZONE,
+      config = {},
+      retryPolicy = null,
+      misfirePolicy = null,
+      calendarIds = [],
+      jitter = null,
+      priority = 'normal',
+      timeoutMs = null,
+    } = req.body
+
+    if (!name || !taskType || !cronExpression) {
+      return res.status(400).json(errorResponse('模板名称、任务类型和Cron表达式不能为空', 400))
+    }
+
+    if (platform !== null && (typeof platform !== 'string' || !platform)) {
+      return res.status(400).json(errorResponse('无效的平台', 400))
+    }
+
+    const fieldsError = validateTaskFields({
+      taskType,
+      cronExpression,
+      timezone,
+      retryPolicy,
+      misfirePolicy,
+      timeoutMs,
+      jitter,
+      priority,
+    })
+    if (fieldsError) {
+      return res.status(400).json(errorResponse(fieldsError, 400))
+    }
+
+    const calendarResult = await resolveCalendarIds(calendarIds)
+    if (calendarResult.error) {
+      return res.status(400).json(errorResponse(calendarResult.error, 400))
+    }
+
+    const db = getDatabase()
+    const templatesCollection = db.collection('task_templates')
+
+    // 检查模板名称是否重复
+    const existing = await templatesCollection.findOne({ name })
+    if (existing) {
+      return res.status(400).json(errorResponse(`模板名称"${name}"已存在`, 400))
+    }
+
+    const now = new Date()
+    const userId = req.user?.userId || null
+
+    const template = {
+      name,
+      description: description || null,
+      platform,
+      taskType,
+      cronExpression,
+      timezone,
+      config,
+      retryPolicy,
+      misfirePolicy,
+      calendarIds: calendarResult.calendarIds,
+      jitter,
+      priority,
+      timeoutMs,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId ? new ObjectId(userId) : null,
+      updatedBy: userId ? new ObjectId(userId) : null,
+    }
+
+    const result = await templatesCollection.insertOne(template)
+
+    res.status(201).json(successResponse({
+      id: result.insertedId.toString(),
+    }, '任务模板创建成功'))
+  }
+  catch (error) {
+    console.error('创建任务模板错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 更新任务模板，修改会同步到所有关联任务（任务自己覆盖的字段除外）
+ */
+export async function updateTemplate(req, res) {
+  try {
+    const { id } = req.params
+    const updateData = req.body
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的任务模板ID', 400))
+    }
+
+    const db = getDatabase()
+    const templatesCollection = db.collection('task_templates')
+    const tasksCollection = db.collection('scheduled_tasks')
+
+    const existing = await templatesCollection.findOne({ _id: new ObjectId(id) })
+    if (!existing) {
+      return res.status(404).json(errorResponse('任务模板不存在', 404))
+    }
+
+    if (updateData.taskType !== undefined && updateData.taskType !== existing.taskType) {
+      return res.status(400).json(errorResponse('模板的任务类型不能修改', 400))
+    }
+
+    // 检查模板名称是否重复（排除自己）
+    if (updateData.name && updateData.name !== existing.name) {
+      const duplicate = await templatesCollection.findOne({
+        name: updateData.name,
+        _id: { $ne: new ObjectId(id) },
+      })
+      if (duplicate) {
+        return res.status(400).json(errorResponse(`模板名称"${updateData.name}"已存在`, 400))
+      }
+    }
+
+    // 限定平台时，已关联任务的店铺必须属于该平台
+    if (updateData.platform !== undefined && updateData.platform !== null) {
+      if (typeof updateData.platform !== 'string' || !updateData.platform) {
+        return res.status(400).json(errorResponse('无效的平台', 400))
+      }
+      const shopIds = await tasksCollection.distinct('shopId', { templateId: existing._id })
+      const mismatchCount = await db.collection('shops').countDocuments({
+        _id: { $in: shopIds },
+        platform: { $ne: updateData.platform },
+      })
+      if (mismatchCount > 0) {
+        return res.status(400).json(errorResponse(`有 ${mismatchCount} 个关联任务的店铺不属于该平台`, 400))
+      }
+    }
+
+    // 按修改后的完整字段校验
+    const merged = { ...existing }
+    for (const field of TEMPLATE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        merged[field] = updateData[field]
+      }
+    }
+    const fieldsError = validateTaskFields(merged)
+    if (fieldsError) {
+      return res.status(400).json(errorResponse(fieldsError, 400))
+    }
+
+    let calendarResult = null
+    if (updateData.calendarIds !== undefined) {
+      calendarResult = await resolveCalendarIds(updateData.calendarIds)
+      if (calendarResult.error) {
+        return res.status(400).json(errorResponse(calendarResult.error, 400))
+      }
+    }
+
+    const userId = req.user?.userId || null
+    const updateFields = {
+      updatedAt: new Date(),
+      updatedBy: userId ? new ObjectId(userId) : null,
+    }
+    if (updateData.name !== undefined) updateFields.name = updateData.name
+    if (updateData.description !== undefined) updateFields.description = updateData.description || null
+    if (updateData.platform !== undefined) updateFields.platform = updateData.platform
+    for (const field of TEMPLATE_FIELDS) {
+      if (updateData[field] !== undefined) {
+        updateFields[field] = updateData[field]
+      }
+    }
+    if (calendarResult) updateFields.calendarIds = calendarResult.calendarIds
+
+    const template = await templatesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: updateFields },
+      { returnDocument: 'after' },
+    )
+
+    // 模板字段变化时同步到关联任务并重新调度
+    const templateChanged = TEMPLATE_FIELDS.some(field => updateData[field] !== undefined)
+    const propagatedCount = templateChanged ? await propagateTemplate(template) : 0
+
+    res.json(successResponse({
+      propagatedCount,
+    }, templateChanged ? `任务模板更新成功，已同步 ${propagatedCount} 个关联任务` : '任务模板更新成功'))
+  }
+  catch (error) {
+    console.error('更新任务模板错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
+
+/**
+ * 删除任务模板
+ */
+export async function deleteTemplate(req, res) {
+  try {
+    const { id } = req.params
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的任务模板ID', 400))
+    }
+
+    const db = getDatabase()
+    const templatesCollection = db.collection('task_templates')
+
+    const existing = await templatesCollection.findOne({ _id: new ObjectId(id) })
+    if (!existing) {
+      return res.status(404).json(errorResponse('任务模板不存在', 404))
+    }
+
+    // 仍有关联任务的模板不能删除，需先解除关联
+    const taskCount = await db.collection('scheduled_tasks').countDocuments({ templateId: new ObjectId(id) })
+    if (taskCount > 0) {
+      return res.status(400).json(errorResponse(`该模板正在被 ${taskCount} 个任务使用，无法删除`, 400))
+    }
+
+    await templatesCollection.deleteOne({ _id: new ObjectId(id) })
+
+    res.json(successResponse(null, '任务模板删除成功'))
+  }
+  catch (error) {
+    console.error('删除任务模板错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
@@ -38,6 +38,8 @@ export async function getUserDetail(req, res) {
         address: user.address || '',
         email: user.email || '',
       },
+      isAdmin: user.isAdmin === true,
+      companyIds: (user.companyIds || []).map(id => id.toString()),
       roles: [], // 暂时返回空数组
       currentRole: null, // 暂时返回 null
     }
@@ -49,3 +51,54 @@ export async function getUserDetail(req, res) {
   }
 }
 
+/**
+ * 修改用户的权限范围（仅管理员）
+ * isAdmin: 是否为管理员；companyIds: 可查看的公司主体，空数组表示不能查看任何公司主体（查看全部需设为管理员）
+ */
+export async function updateUserScope(req, res) {
+  try {
+    const { id } = req.params
+    const { isAdmin, companyIds } = req.body || {}
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json(errorResponse('无效的用户ID', 400))
+    }
+    if (isAdmin !== undefined && typeof isAdmin !== 'boolean') {
+      return res.status(400).json(errorResponse('isAdmin 必须是布尔值', 400))
+    }
+    if (companyIds !== undefined && (!Array.isArray(companyIds) || !companyIds.every(companyId => ObjectId.isValid(companyId)))) {
+      return res.status(400).json(errorResponse('公司主体ID列表格式无效', 400))
+    }
+    if (isAdmin === false && id === req.user?.userId) {
+      return res.status(400).json(errorResponse('不能取消自己的管理员权限', 400))
+    }
+
+    const db = getDatabase()
+    const updateFields = { updatedAt: new Date() }
+    if (isAdmin !== undefined) updateFields.isAdmin = isAdmin
+    if (companyIds !== undefined) {
+      const ids = [...new Set(companyIds.map(String))].map(companyId => new ObjectId(companyId))
+      const count = await db.collection('companies').countDocuments({ _id: { $in: ids } })
+      if (count !== ids.length) {
+        return res.status(400).json(errorResponse('公司主体不存在', 400))
+      }
+      updateFields.companyIds = ids
+    }
+
+    const result = await db.collection('users').updateOne(
+      { _id: new ObjectId(id) },
+      { $set: updateFields },
+    )
+    if (result.matchedCount === 0) {
+      return res.status(404).json(errorResponse('用户不存在', 404))
+    }
+
+    console.log(`[用户权限] 用户 ${id} 的权限范围已更新 (操作人: ${req.user?.username || '未知'})`)
+
+    res.json(successResponse(null, '权限范围更新成功'))
+  }
+  catch (error) {
+    console.error('修改用户权限范围错误:', error)
+    res.status(500).json(errorResponse('服务器内部错误', 500))
+  }
+}
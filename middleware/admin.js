@@ -0,0 +1,17 @@
+import { websocketService } from '../services/websocketService.js'
+
+/**
+ * 管理员权限中间件（需放在 authenticateToken 之后）
+ * 管理员由用户文档上的 isAdmin 标记决定
+ */
+export async function requireAdmin(req, res, next) {
+  const scope = await websocketService.loadUserScope(req.user)
+  if (!scope.admin) {
+    return res.status(403).json({
+      code: 403,
+      message: '只有管理员可以执行该操作',
+      data: null,
+    })
+  }
+  next()
+}
@@ -0,0 +1,25 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import * as calendarController from '../controllers/calendarController.js'
+
+const router = express.Router()
+
+// 所有路由都需要认证
+router.use(authenticateToken)
+
+// 获取日历列表
+router.get('/', calendarController.getCalendars)
+
+// 获取日历详情
+router.get('/:id', calendarController.getCalendarById)
+
+// 创建日历
+router.post('/', calendarController.createCalendar)
+
+// 更新日历
+router.patch('/:id', calendarController.updateCalendar)
+
+// 删除日历
+router.delete('/:id', calendarController.deleteCalendar)
+
+export default router
@@ -0,0 +1,29 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireAdmin } from '../middleware/admin.js'
+import * as executionController from '../controllers/executionController.js'
+
+const router = express.Router()
+
+// 所有路由都需要认证
+router.use(authenticateToken)
+
+// 查询执行记录（跨任务筛选、游标分页）
+router.get('/', executionController.getExecutions)
+
+// 获取执行记录保留策略
+router.get('/retention', requireAdmin, executionController.getRetentionPolicy)
+
+// 修改执行记录保留策略
+router.put('/retention', requireAdmin, executionController.updateRetentionPolicy)
+
+// 预览按保留策略将要清理的执行记录
+router.post('/retention/preview', requireAdmin, executionController.previewPurge)
+
+// 立即归档并清理超出保留策略的执行记录
+router.post('/retention/purge', requireAdmin, executionController.purgeExecutions)
+
+// 取消执行
+router.post('/:id/cancel', executionController.cancelExecution)
+
+export default router
@@ -0,0 +1,20 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import { requireAdmin } from '../middleware/admin.js'
+import * as executorController from '../controllers/executorController.js'
+
+const router = express.Router()
+
+// 所有路由都需要认证
+router.use(authenticateToken)
+
+// 获取并发限制
+router.get('/limits', executorController.getConcurrencyLimits)
+
+// 修改并发限制（仅管理员）
+router.put('/limits', requireAdmin, executorController.updateConcurrencyLimits)
+
+// 获取执行队列状态及等待原因
+router.get('/status', executorController.getExecutorStatus)
+
+export default router
@@ -0,0 +1,25 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import * as taskTemplateController from '../controllers/taskTemplateController.js'
+
+const router = express.Router()
+
+// 所有路由都需要认证
+router.use(authenticateToken)
+
+// 获取任务模板列表
+router.get('/', taskTemplateController.getTemplates)
+
+// 获取任务模板详情
+router.get('/:id', taskTemplateController.getTemplateById)
+
+// 创建任务模板
+router.post('/', taskTemplateController.createTemplate)
+
+// 更新任务模板（同步到关联任务）
+router.patch('/:id', taskTemplateController.updateTemplate)
+
+// 删除任务模板
+router.delete('/:id', taskTemplateController.deleteTemplate)
+
+export default router
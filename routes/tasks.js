@@ -1,11 +1,17 @@
 import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
 import {
   getTasks,
+  getTaskQueue,
+  getTaskStats,
+  previewCron,
   createTask,
+  bulkTasks,
   updateTask,
   deleteTask,
   toggleTask,
   executeTaskNow,
+  cancelTask,
   getTaskExecutions,
 } from '../controllers/taskController.js'
 
@@ -14,9 +20,21 @@ const router = express.Router()
 // 获取任务列表
 router.get('/', getTasks)
 
+// 获取执行队列（排队位置、优先级、预计开始时间，需要认证，只返回权限范围内的任务）
+router.get('/queue', authenticateToken, getTaskQueue)
+
+// 获取执行统计（成功率、耗时分位数、失败原因，需要认证，用于按权限范围统计）
+router.get('/stats', authenticateToken, getTaskStats)
+
+// 预览 cron 表达式接下来的执行时间
+router.post('/cron/preview', previewCron)
+
 // 创建任务
 router.post('/', createTask)
 
+// 批量操作任务（需要认证，只操作权限范围内的任务）
+router.post('/bulk', authenticateToken, bulkTasks)
+
 // 更新任务
 router.patch('/:id', updateTask)
 
@@ -29,6 +47,9 @@ router.patch('/:id/toggle', toggleTask)
 // 立即执行任务
 router.post('/:id/execute', executeTaskNow)
 
+// 取消任务正在排队或执行中的执行（需要认证，用于记录取消人）
+router.post('/:id/cancel', authenticateToken, cancelTask)
+
 // 获取任务执行记录
 router.get('/:taskId/executions', getTaskExecutions)
 
@@ -1,5 +1,6 @@
 import express from 'express'
 import { authenticateToken } from '../middleware/auth.js'
+import { requireAdmin } from '../middleware/admin.js'
 import * as userController from '../controllers/userController.js'
 
 const router = express.Router()
@@ -7,5 +8,8 @@ const router = express.Router()
 // 获取用户详情（需要认证）
 router.get('/detail', authenticateToken, userController.getUserDetail)
 
+// 修改用户的管理员标记和可查看的公司主体（仅管理员）
+router.put('/:id/scope', authenticateToken, requireAdmin, userController.updateUserScope)
+
 export default router
 
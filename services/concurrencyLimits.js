@@ -0,0 +1,145 @@
+import { ObjectId } from 'mongodb'
+import { getDatabase } from '../config/database.js'
+
+const SETTINGS_COLLECTION = 'executor_settings'
+const SETTINGS_ID = 'concurrency'
+
+// 各实例缓存配置的时间，修改后最多在该时间后对所有实例生效
+const CACHE_TTL_MS = 5 * 1000
+
+const MAX_LIMIT = 100
+
+// 默认全局最多同时执行 3 个任务，不限制平台和公司主体
+export const DEFAULT_CONCURRENCY_LIMITS = {
+  globalLimit: 3,
+  defaultPlatformLimit: null,
+  platformLimits: {},
+  defaultCompanyLimit: null,
+  companyLimits: {},
+}
+
+function isValidLimit(value) {
+  return value === null || (Number.isInteger(value) && value >= 1 && value <= MAX_LIMIT)
+}
+
+function isValidLimitMap(map, isValidKey) {
+  return map !== null
+    && typeof map === 'object'
+    && !Array.isArray(map)
+    && Object.entries(map).every(([key, value]) => isValidKey(key) && value !== null && isValidLimit(value))
+}
+
+/**
+ * 校验并发限制配置
+ * @param {object} limits - 并发限制（可只包含需要修改的字段）
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+export function validateConcurrencyLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return '并发限制格式无效'
+  }
+
+  const { globalLimit, defaultPlatformLimit, platformLimits, defaultCompanyLimit, companyLimits } = limits
+
+  if (globalLimit !== undefined && (globalLimit === null || !isValidLimit(globalLimit))) {
+    return `全局并发数必须是 1 到 ${MAX_LIMIT} 之间的整数`
+  }
+  if (defaultPlatformLimit !== undefined && !isValidLimit(defaultPlatformLimit)) {
+    return `平台默认并发数必须是 1 到 ${MAX_LIMIT} 之间的整数，null 表示不限制`
+  }
+  if (platformLimits !== undefined && !isValidLimitMap(platformLimits, platform => platform.length > 0)) {
+    return `平台并发数必须是 { 平台: 并发数 } 格式，并发数为 1 到 ${MAX_LIMIT} 之间的整数`
+  }
+  if (defaultCompanyLimit !== undefined && !isValidLimit(defaultCompanyLimit)) {
+    return `公司主体默认并发数必须是 1 到 ${MAX_LIMIT} 之间的整数，null 表示不限制`
+  }
+  if (companyLimits !== undefined && !isValidLimitMap(companyLimits, companyId => ObjectId.isValid(companyId))) {
+    return `公司主体并发数必须是 { 公司主体ID: 并发数 } 格式，并发数为 1 到 ${MAX_LIMIT} 之间的整数`
+  }
+
+  return null
+}
+
+/**
+ * 执行器并发限制
+ * 配置保存在数据库中，所有实例共享，修改后无需重启
+ */
+class ConcurrencyLimits {
+  constructor() {
+    this.cached = null
+    this.cachedAt = 0
+  }
+
+  getCollection() {
+    return getDatabase().collection(SETTINGS_COLLECTION)
+  }
+
+  /**
+   * 获取当前的并发限制
+   * @param {object} [options]
+   * @param {boolean} [options.fresh=false] - 是否跳过缓存
+   */
+  async get({ fresh = false } = {}) {
+    if (!fresh && this.cached && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cached
+    }
+
+    const settings = await this.getCollection().findOne({ _id: SETTINGS_ID })
+    this.cached = {
+      ...DEFAULT_CONCURRENCY_LIMITS,
+      ...(settings?.limits || {}),
+    }
+    this.cachedAt = Date.now()
+    return this.cached
+  }
+
+  /**
+   * 修改并发限制
+   * @param {object} limits - 需要修改的字段
+   * @param {string} [userId] - 操作人
+   * @returns {Promise<object>} 修改后的完整配置
+   */
+  async update(limits, userId = null) {
+    const current = await this.get({ fresh: true })
+    const next = { ...current }
+    for (const key of Object.keys(DEFAULT_CONCURRENCY_LIMITS)) {
+      if (limits[key] !== undefined) {
+        next[key] = limits[key]
+      }
+    }
+
+    await this.getCollection().updateOne(
+      { _id: SETTINGS_ID },
+      {
+        $set: {
+          limits: next,
+          updatedAt: new Date(),
+          updatedBy: userId ? new ObjectId(userId) : null,
+        },
+      },
+      { upsert: true },
+    )
+
+    this.cached = next
+    this.cachedAt = Date.now()
+    return next
+  }
+
+  // 平台的并发上限，未单独配置时使用平台默认值，null 表示不限制
+  getPlatformLimit(limits, platform) {
+    if (!platform) {
+      return null
+    }
+    return limits.platformLimits?.[platform] ?? limits.defaultPlatformLimit
+  }
+
+  // 公司主体的并发上限，未单独配置时使用公司主体默认值，null 表示不限制
+  getCompanyLimit(limits, companyId) {
+    if (!companyId) {
+      return null
+    }
+    return limits.companyLimits?.[companyId.toString()] ?? limits.defaultCompanyLimit
+  }
+}
+
+export const concurrencyLimits = new ConcurrencyLimits()
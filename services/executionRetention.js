@@ -0,0 +1,357 @@
+import fs from 'fs'
+import path from 'path'
+import zlib from 'zlib'
+import { pipeline } from 'stream/promises'
+import { fileURLToPath } from 'url'
+import { BSON, ObjectId } from 'mongodb'
+import { getDatabase } from '../config/database.js'
+
+const SETTINGS_COLLECTION = 'executor_settings'
+const SETTINGS_ID = 'retention'
+const LOCK_ID = 'retention_lock'
+
+// 归档文件目录，默认在项目根目录下的 archives/executions
+const ARCHIVE_DIR = process.env.EXECUTION_ARCHIVE_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'archives', 'executions')
+
+// 自动清理的检查间隔
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000
+
+// 清理锁的有效期，防止实例异常退出后锁一直不释放
+const LOCK_TTL_MS = 30 * 60 * 1000
+
+// 单次清理的最大条数，剩余的记录在下一次清理时处理
+const MAX_PURGE_RECORDS = 50000
+
+const DELETE_BATCH_SIZE = 500
+
+const MAX_KEEP_DAYS = 3650
+const MAX_KEEP_PER_TASK = 10000
+
+// 只清理已结束的执行记录
+const TERMINAL_STATUSES = ['completed', 'failed', 'timed_out', 'cancelled', 'skipped']
+const FAILURE_STATUSES = ['failed', 'timed_out']
+const OTHER_STATUSES = TERMINAL_STATUSES.filter(status => !FAILURE_STATUSES.includes(status))
+
+// 默认保留 30 天且每个任务至少保留最近 100 条，失败记录保留 90 天
+export const DEFAULT_RETENTION_POLICY = {
+  enabled: true,
+  keepDays: 30,
+  keepLastPerTask: 100,
+  failedKeepDays: 90,
+  failedKeepLastPerTask: 100,
+}
+
+function isValidOptionalInteger(value, max) {
+  return value === null || (Number.isInteger(value) && value >= 1 && value <= max)
+}
+
+/**
+ * 校验保留策略
+ * @param {object} policy - 保留策略（可只包含需要修改的字段）
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+export function validateRetentionPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return '保留策略格式无效'
+  }
+
+  const { enabled, keepDays, keepLastPerTask, failedKeepDays, failedKeepLastPerTask } = policy
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled 必须是布尔值'
+  }
+  for (const [name, value] of [['keepDays', keepDays], ['failedKeepDays', failedKeepDays]]) {
+    if (value !== undefined && !isValidOptionalInteger(value, MAX_KEEP_DAYS)) {
+      return `${name} 必须是 1 到 ${MAX_KEEP_DAYS} 之间的整数，null 表示不按天数保留`
+    }
+  }
+  for (const [name, value] of [['keepLastPerTask', keepLastPerTask], ['failedKeepLastPerTask', failedKeepLastPerTask]]) {
+    if (value !== undefined && !isValidOptionalInteger(value, MAX_KEEP_PER_TASK)) {
+      return `${name} 必须是 1 到 ${MAX_KEEP_PER_TASK} 之间的整数，null 表示不按条数保留`
+    }
+  }
+
+  return null
+}
+
+/**
+ * 执行记录保留策略与归档
+ * 超出保留策略的执行记录先写入 gzip 压缩的 NDJSON 归档文件，再从数据库中删除。
+ * 一条记录只要满足任一保留规则（最近 N 天内，或属于该任务最近 N 条）就会保留，
+ * 失败和超时的记录使用单独的、通常更长的保留规则。
+ */
+class ExecutionRetention {
+  constructor() {
+    this.timer = null
+  }
+
+  getSettingsCollection() {
+    return getDatabase().collection(SETTINGS_COLLECTION)
+  }
+
+  /**
+   * 获取当前的保留策略
+   */
+  async getPolicy() {
+    const settings = await this.getSettingsCollection().findOne({ _id: SETTINGS_ID })
+    return {
+      ...DEFAULT_RETENTION_POLICY,
+      ...(settings?.policy || {}),
+    }
+  }
+
+  /**
+   * 修改保留策略
+   * @param {object} policy - 需要修改的字段
+   * @param {string} [userId] - 操作人
+   * @returns {Promise<object>} 修改后的完整策略
+   */
+  async updatePolicy(policy, userId = null) {
+    const next = await this.getPolicy()
+    for (const key of Object.keys(DEFAULT_RETENTION_POLICY)) {
+      if (policy[key] !== undefined) {
+        next[key] = policy[key]
+      }
+    }
+
+    await this.getSettingsCollection().updateOne(
+      { _id: SETTINGS_ID },
+      {
+        $set: {
+          policy: next,
+          updatedAt: new Date(),
+          updatedBy: userId ? new ObjectId(userId) : null,
+        },
+      },
+      { upsert: true },
+    )
+
+    return next
+  }
+
+  /**
+   * 启动定时清理
+   */
+  start() {
+    if (this.timer) {
+      return
+    }
+    this.timer = setInterval(() => {
+      this.runScheduledPurge()
+    }, PURGE_INTERVAL_MS)
+    this.timer.unref()
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  async runScheduledPurge() {
+    try {
+      const policy = await this.getPolicy()
+      if (!policy.enabled) {
+        return
+      }
+      const result = await this.purge({ policy })
+      if (result.purged > 0) {
+        console.log(`[执行记录清理] 已归档并删除 ${result.purged} 条执行记录: ${result.archiveFile}`)
+      }
+    }
+    catch (error) {
+      console.error('[执行记录清理] 定时清理失败:', error)
+    }
+  }
+
+  /**
+   * 某个任务某类记录中超出保留策略的查询条件
+   * @returns {Promise<object|null>} 没有需要清理的记录时返回 null
+   */
+  async buildTaskPurgeQuery(taskId, statuses, keepDays, keepLastPerTask, now) {
+    if (!keepDays && !keepLastPerTask) {
+      return null
+    }
+
+    const collection = getDatabase().collection('task_executions')
+    const query = { taskId, status: { $in: statuses } }
+
+    if (keepDays) {
+      query.startedAt = { $lt: new Date(now.getTime() - keepDays * 24 * 60 * 60 * 1000) }
+    }
+
+    if (keepLastPerTask) {
+      const kept = await collection
+        .find({ taskId, status: { $in: statuses } }, { projection: { _id: 1 } })
+        .sort({ startedAt: -1, _id: -1 })
+        .limit(keepLastPerTask)
+        .toArray()
+      if (kept.length < keepLastPerTask) {
+        return null
+      }
+      query._id = { $nin: kept.map(execution => execution._id) }
+    }
+
+    return query
+  }
+
+  /**
+   * 逐个任务生成需要清理的查询条件
+   */
+  async* purgeQueries(policy, now) {
+    const collection = getDatabase().collection('task_executions')
+    const taskIds = await collection.distinct('taskId', { status: { $in: TERMINAL_STATUSES } })
+
+    for (const taskId of taskIds) {
+      const classes = [
+        { statuses: OTHER_STATUSES, keepDays: policy.keepDays, keepLastPerTask: policy.keepLastPerTask },
+        { statuses: FAILURE_STATUSES, keepDays: policy.failedKeepDays, keepLastPerTask: policy.failedKeepLastPerTask },
+      ]
+      for (const { statuses, keepDays, keepLastPerTask } of classes) {
+        const query = await this.buildTaskPurgeQuery(taskId, statuses, keepDays, keepLastPerTask, now)
+        if (query) {
+          yield { taskId, failures: statuses === FAILURE_STATUSES, query }
+        }
+      }
+    }
+  }
+
+  /**
+   * 预览按当前（或指定）策略将要清理的记录数量
+   * @param {object} [policy] - 不传时使用已保存的策略
+   */
+  async preview(policy) {
+    policy = policy || await this.getPolicy()
+    const collection = getDatabase().collection('task_executions')
+    const now = new Date()
+
+    const summary = {
+      policy,
+      total: 0,
+      failures: 0,
+      others: 0,
+      tasks: 0,
+      oldestStartedAt: null,
+      newestStartedAt: null,
+    }
+    const affectedTasks = new Set()
+
+    for await (const { taskId, failures, query } of this.purgeQueries(policy, now)) {
+      const [stats] = await collection.aggregate([
+        { $match: query },
+        { $group: { _id: null, count: { $sum: 1 }, oldest: { $min: '$startedAt' }, newest: { $max: '$startedAt' } } },
+      ]).toArray()
+      if (!stats) {
+        continue
+      }
+
+      affectedTasks.add(taskId.toString())
+      summary.total += stats.count
+      summary[failures ? 'failures' : 'others'] += stats.count
+      if (!summary.oldestStartedAt || stats.oldest < summary.oldestStartedAt) {
+        summary.oldestStartedAt = stats.oldest
+      }
+      if (!summary.newestStartedAt || stats.newest > summary.newestStartedAt) {
+        summary.newestStartedAt = stats.newest
+      }
+    }
+
+    summary.tasks = affectedTasks.size
+    return summary
+  }
+
+  /**
+   * 加锁，多个实例同时只有一个在清理
+   * @returns {Promise<boolean>} 是否拿到锁
+   */
+  async acquireLock() {
+    const now = new Date()
+    try {
+      await this.getSettingsCollection().updateOne(
+        { _id: LOCK_ID, lockedUntil: { $lt: now } },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true },
+      )
+      return true
+    }
+    catch (error) {
+      // 锁未过期时 upsert 插入同一 _id 会冲突
+      if (error.code === 11000) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  async releaseLock() {
+    await this.getSettingsCollection().updateOne(
+      { _id: LOCK_ID },
+      { $set: { lockedUntil: new Date(0) } },
+    )
+  }
+
+  /**
+   * 归档并删除超出保留策略的执行记录
+   * 记录先完整写入归档文件，写入成功后才从数据库删除
+   * @param {object} [options]
+   * @param {object} [options.policy] - 不传时使用已保存的策略
+   * @returns {Promise<object>} { purged, archiveFile, hasMore }
+   */
+  async purge({ policy } = {}) {
+    policy = policy || await this.getPolicy()
+
+    if (!(await this.acquireLock())) {
+      throw new Error('其他实例正在清理执行记录，请稍后再试')
+    }
+
+    try {
+      const collection = getDatabase().collection('task_executions')
+      const now = new Date()
+      const archivedIds = []
+      let hasMore = false
+
+      const purgeQueries = this.purgeQueries(policy, now)
+      async function* archiveLines() {
+        for await (const { query } of purgeQueries) {
+          const cursor = collection.find(query).sort({ startedAt: 1, _id: 1 })
+          for await (const execution of cursor) {
+            if (archivedIds.length >= MAX_PURGE_RECORDS) {
+              hasMore = true
+              await cursor.close()
+              return
+            }
+            archivedIds.push(execution._id)
+            yield `${BSON.EJSON.stringify(execution, { relaxed: true })}\n`
+          }
+        }
+      }
+
+      await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true })
+      const archiveFile = path.join(ARCHIVE_DIR, `executions-${now.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`)
+
+      await pipeline(archiveLines, zlib.createGzip(), fs.createWriteStream(archiveFile))
+
+      if (archivedIds.length === 0) {
+        await fs.promises.unlink(archiveFile)
+        return { purged: 0, archiveFile: null, hasMore: false }
+      }
+
+      let purged = 0
+      for (let i = 0; i < archivedIds.length; i += DELETE_BATCH_SIZE) {
+        const { deletedCount } = await collection.deleteMany({
+          _id: { $in: archivedIds.slice(i, i + DELETE_BATCH_SIZE) },
+        })
+        purged += deletedCount
+      }
+
+      return { purged, archiveFile, hasMore }
+    }
+    finally {
+      await this.releaseLock()
+    }
+  }
+}
+
+export const executionRetention = new ExecutionRetention()
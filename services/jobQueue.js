@@ -0,0 +1,221 @@
+import os from 'os'
+import { ObjectId } from 'mongodb'
+import { getDatabase } from '../config/database.js'
+
+const QUEUE_COLLECTION = 'task_queue'
+
+// 租约时长：持有任务的进程需要在此时间内续约，否则任务会被视为无人处理
+const DEFAULT_LEASE_MS = 60 * 1000
+
+// 任务优先级，数值越大越先被领取
+export const JOB_PRIORITIES = {
+  high: 20,
+  normal: 10,
+  low: 0,
+}
+
+// 领取顺序：优先级高的先执行，同优先级按可执行时间先后
+const LEASE_SORT = { priority: -1, availableAt: 1, createdAt: 1 }
+
+/**
+ * 任务队列
+ * 基于 MongoDB 的持久化队列，任务以租约（lease）方式被领取，
+ * 进程崩溃或重启后，过期的租约可被回收，保证任务不会丢失
+ */
+class JobQueue {
+  constructor() {
+    // 当前进程的租约持有者标识
+    this.ownerId = `${os.hostname()}:${process.pid}:${new ObjectId().toString()}`
+    this.leaseMs = DEFAULT_LEASE_MS
+  }
+
+  getCollection() {
+    return getDatabase().collection(QUEUE_COLLECTION)
+  }
+
+  /**
+   * 加入队列
+   * @param {object} job - 任务信息 { taskId, executionId, shopId, taskType, platform, companyId }
+   * @param {object} [options]
+   * @param {Date} [options.availableAt] - 最早可执行时间，默认立即执行
+   * @param {string} [options.priority='normal'] - 优先级: 'high' | 'normal' | 'low'
+   * @returns {Promise<object>} 入队后的任务文档
+   */
+  async enqueue(job, { availableAt = new Date(), priority = 'normal' } = {}) {
+    const now = new Date()
+    const doc = {
+      _id: new ObjectId(),
+      ...job,
+      priority: JOB_PRIORITIES[priority] ?? JOB_PRIORITIES.normal,
+      priorityLevel: priority,
+      status: 'pending',
+      availableAt,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      leaseCount: 0,
+      createdAt: now,
+      updatedAt: now,
+    }
+
+    await this.getCollection().insertOne(doc)
+    return doc
+  }
+
+  /**
+   * 领取一个可执行的任务（原子操作，多进程下同一任务只会被一个进程领取）
+   * @param {object} [filter] - 额外的过滤条件
+   * @returns {Promise<object|null>} 领取到的任务，没有可执行任务时返回 null
+   */
+  async lease(filter = {}) {
+    const now = new Date()
+
+    return this.getCollection().findOneAndUpdate(
+      {
+        ...filter,
+        status: 'pending',
+        availableAt: { $lte: now },
+      },
+      {
+        $set: {
+          status: 'leased',
+          leaseOwner: this.ownerId,
+          leasedAt: now,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs),
+          updatedAt: now,
+        },
+        $inc: { leaseCount: 1 },
+      },
+      {
+        sort: LEASE_SORT,
+        returnDocument: 'after',
+      },
+    )
+  }
+
+  /**
+   * 续约
+   * @returns {Promise<object|null>} 续约后的任务（可据此检查 cancelRequest），租约已不由当前进程持有时返回 null
+   */
+  async renew(jobId) {
+    const now = new Date()
+    return this.getCollection().findOneAndUpdate(
+      { _id: jobId, status: 'leased', leaseOwner: this.ownerId },
+      {
+        $set: {
+          leaseExpiresAt: new Date(now.getTime() + this.leaseMs),
+          updatedAt: now,
+        },
+      },
+      { returnDocument: 'after' },
+    )
+  }
+
+  /**
+   * 请求取消执行中的任务，由持有租约的进程在续约时通知执行端停止
+   * @param {ObjectId} executionId - 执行记录ID
+   * @param {string} reason - 取消原因
+   * @returns {Promise<boolean>} 是否有正在执行的任务被标记
+   */
+  async requestCancel(executionId, reason) {
+    const result = await this.getCollection().updateOne(
+      { executionId, status: 'leased' },
+      { $set: { cancelRequest: { reason, requestedAt: new Date() }, updatedAt: new Date() } },
+    )
+    return result.matchedCount > 0
+  }
+
+  /**
+   * 记录任务已推送到执行端
+   */
+  async markDispatched(jobId, workerId) {
+    await this.getCollection().updateOne(
+      { _id: jobId },
+      { $set: { dispatchedAt: new Date(), workerId, updatedAt: new Date() } },
+    )
+  }
+
+  /**
+   * 释放任务，重新放回队列等待执行
+   * @param {ObjectId} jobId - 队列任务ID
+   * @param {object} [options]
+   * @param {Date} [options.availableAt] - 重新可执行的时间
+   */
+  async release(jobId, { availableAt = new Date() } = {}) {
+    await this.getCollection().updateOne(
+      { _id: jobId },
+      {
+        $set: {
+          status: 'pending',
+          availableAt,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          updatedAt: new Date(),
+        },
+        $unset: { dispatchedAt: '', workerId: '' },
+      },
+    )
+  }
+
+  /**
+   * 完成任务，从队列中移除
+   */
+  async complete(jobId) {
+    await this.getCollection().deleteOne({ _id: jobId })
+  }
+
+  /**
+   * 按条件移除队列中的任务
+   * @returns {Promise<number>} 移除的数量
+   */
+  async remove(filter) {
+    const result = await this.getCollection().deleteMany(filter)
+    return result.deletedCount
+  }
+
+  /**
+   * 统计正在执行（已被领取）的任务数，按平台和公司主体分组
+   * @returns {Promise<{ total: number, platforms: Map<string, number>, companies: Map<string, number> }>}
+   */
+  async countLeased() {
+    const groups = await this.getCollection()
+      .aggregate([
+        { $match: { status: 'leased' } },
+        { $group: { _id: { platform: '$platform', companyId: '$companyId' }, count: { $sum: 1 } } },
+      ])
+      .toArray()
+
+    const usage = { total: 0, platforms: new Map(), companies: new Map() }
+    for (const { _id: { platform, companyId }, count } of groups) {
+      usage.total += count
+      if (platform) {
+        usage.platforms.set(platform, (usage.platforms.get(platform) || 0) + count)
+      }
+      if (companyId) {
+        const companyKey = companyId.toString()
+        usage.companies.set(companyKey, (usage.companies.get(companyKey) || 0) + count)
+      }
+    }
+    return usage
+  }
+
+  /**
+   * 查找租约已过期的任务（持有进程已退出或失去响应）
+   */
+  async findExpired() {
+    return this.getCollection()
+      .find({ status: 'leased', leaseExpiresAt: { $lt: new Date() } })
+      .toArray()
+  }
+
+  /**
+   * 查询队列中的任务（按领取顺序排列）
+   */
+  async find(filter = {}) {
+    return this.getCollection()
+      .find(filter)
+      .sort(LEASE_SORT)
+      .toArray()
+  }
+}
+
+export const jobQueue = new JobQueue()
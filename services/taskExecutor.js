@@ -1,334 +1,1270 @@
-import PQueue from 'p-queue'
 import { ObjectId } from 'mongodb'
 import { getDatabase } from '../config/database.js'
 import { websocketService } from './websocketService.js'
 import { taskScheduler } from './taskScheduler.js'
+import { jobQueue } from './jobQueue.js'
+import { concurrencyLimits } from './concurrencyLimits.js'
+import { normalizeRetryPolicy, shouldRetry, computeRetryDelay } from '../utils/retryPolicy.js'
 
-// 创建任务队列，控制并发数
-const queue = new PQueue({
-  concurrency: 3, // 最多同时执行3个任务
-  interval: 1000, // 每秒最多执行的任务数
-  intervalCap: 5, // 每个间隔最多执行5个任务
-})
+const LEASE_RATE_LIMIT = 5 // 每个实例每秒最多领取5个任务（沿用原 p-queue 的 intervalCap）
+const LEASE_RATE_WINDOW_MS = 1000
+const POLL_INTERVAL_MS = 1000 // 队列轮询间隔
+const LEASE_RENEW_INTERVAL_MS = 20 * 1000 // 租约续约间隔
+const RECLAIM_INTERVAL_MS = 30 * 1000 // 回收过期租约的间隔
+
+// 估算排队任务开始时间时参考的最近执行记录数，以及没有历史记录时使用的耗时
+const DURATION_SAMPLE_SIZE = 200
+const FALLBACK_ESTIMATED_DURATION_MS = 2 * 60 * 1000
+
+// 队列任务等待原因的说明
+const WAIT_REASON_TEXT = {
+  ready: '等待执行器领取',
+  scheduled: '未到执行时间',
+  deferred: '推迟执行中',
+  retry_backoff: '等待重试',
+  global_limit: '已达到全局并发上限',
+  platform_limit: '已达到平台并发上限',
+  company_limit: '已达到公司主体并发上限',
+}
+
+// 各任务类型的默认执行超时时间，任务未配置 timeoutMs 时使用
+export const DEFAULT_TIMEOUT_MS = {
+  login: 10 * 60 * 1000,
+  auto_flow: 30 * 60 * 1000,
+}
+const FALLBACK_TIMEOUT_MS = 30 * 60 * 1000
 
-// 任务结果等待 Map: taskId -> { resolve, reject, timeout }
+// 执行日志限制
+const MAX_EXECUTION_LOGS = 500 // 每条执行记录最多保留的日志条数（保留最新的）
+const MAX_LOG_MESSAGE_LENGTH = 2000 // 单条日志消息的最大长度
+const MAX_LOG_DETAILS_BYTES = 8 * 1024 // 单条日志详情序列化后的最大字节数
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// 依赖链最多连续触发的层数，防止配置错误导致无限触发
+const MAX_CHAIN_DEPTH = 5
+
+// 执行端超过该时间没有上报进度或日志时，视为执行停滞
+const STALL_THRESHOLD_MS = 5 * 60 * 1000
+const STALL_CHECK_INTERVAL_MS = 60 * 1000
+
+// 当前进程正在处理的队列任务: jobId -> { job, renewTimer }
+const activeJobs = new Map()
+
+let pollTimer = null
+let stallTimer = null
+let pumping = false
+let lastReclaimAt = 0
+let recentLeaseTimes = [] // 最近领取任务的时间，用于限速
+
+// 任务结果等待 Map: executionId -> { resolve, reject, timeout, taskId, executionId, workerId }
 const taskResultWaiters = new Map()
 
 // 设置任务结果回调
-websocketService.setTaskResultCallback(async (data) => {
-  const { taskId, result } = data
-  const waiter = taskResultWaiters.get(taskId)
-  
+// 结果按 executionId 匹配，返回值 { accepted, reason } 会回执给执行端
+websocketService.setTaskResultCallback(async (data, { workerId } = {}) => {
+  const { taskId, executionId, result } = data || {}
+
+  if (!executionId || !result) {
+    console.warn(`[任务执行器] 拒绝缺少 executionId 或 result 的任务结果: 任务 ${taskId}，来自 ${workerId || '未注册客户端'}`)
+    return { accepted: false, reason: 'invalid' }
+  }
+
+  const waiter = taskResultWaiters.get(executionId)
+  if (!waiter) {
+    return rejectUnmatchedResult(taskId, executionId, workerId)
+  }
+
+  // 只接受分配到的执行端返回的结果
+  if (waiter.workerId && workerId !== waiter.workerId) {
+    console.warn(`[任务执行器] 忽略非指定执行端的任务结果: 执行 ${executionId}，来自 ${workerId || '未注册客户端'}，应为 ${waiter.workerId}`)
+    return { accepted: false, reason: 'wrong_worker' }
+  }
+  if (taskId && taskId !== waiter.taskId) {
+    console.warn(`[任务执行器] 任务结果的 taskId 与执行记录不一致: 执行 ${executionId}，收到 ${taskId}，应为 ${waiter.taskId}`)
+    return { accepted: false, reason: 'task_mismatch' }
+  }
+
+  clearTimeout(waiter.timeout)
+  taskResultWaiters.delete(executionId)
+  websocketService.releaseExecution(waiter.workerId, executionId)
+
+  if (result.code !== 200) {
+    // 执行失败：更新执行记录和任务统计，并按重试策略安排重试
+    const errorMessage = result.message || '任务执行失败'
+    await failExecution(waiter.taskId, waiter.executionId, errorMessage, {
+      errorClass: 'client_error',
+      fields: {
+        result,
+        ...(result.data?.shopName ? { shopName: result.data.shopName } : {}),
+        ...(result.data?.platform ? { platform: result.data.platform } : {}),
+      },
+    })
+    waiter.reject(settledError(errorMessage))
+    return { accepted: true }
+  }
+
+  // 更新执行记录
+  const db = getDatabase()
+  const executionsCollection = db.collection('task_executions')
+  const tasksCollection = db.collection('scheduled_tasks')
+
+  try {
+    // 获取执行记录
+    const execution = await executionsCollection.findOne({ _id: waiter.executionId })
+    if (execution) {
+      const startedAt = execution.startedAt.getTime ? execution.startedAt.getTime() : new Date(execution.startedAt).getTime()
+
+      // 更新执行记录（仅更新仍在执行中的记录，避免覆盖已取消或已结束的记录）
+      const updated = await executionsCollection.updateOne(
+        { _id: waiter.executionId, status: 'running' },
+        {
+          $set: {
+            status: 'completed',
+            completedAt: new Date(),
+            duration: Date.now() - startedAt,
+            result,
+            error: null,
+            shopName: result.data?.shopName || execution.shopName || null,
+            platform: result.data?.platform || execution.platform || null,
+          },
+        },
+      )
+      if (updated.matchedCount === 0) {
+        console.warn(`[任务执行器] 执行记录已结束，忽略任务结果: ${executionId} (${execution.status})`)
+        waiter.resolve(result)
+        return { accepted: false, reason: 'already_settled' }
+      }
+    }
+
+    // 更新任务统计和 nextRunAt
+    const task = await tasksCollection.findOne({ _id: new ObjectId(waiter.taskId) })
+    if (task) {
+      // 计算下次执行时间（基于当前时间）
+      const { nextRunAt, nextFireAt } = await taskScheduler.calculateTaskNextSchedule(task)
+
+      await tasksCollection.updateOne(
+        { _id: task._id },
+        {
+          $set: {
+            status: 'completed',
+            updatedAt: new Date(),
+            nextRunAt, // 更新下次执行时间
+            nextFireAt,
+          },
+          $unset: { nextRetryAt: '' },
+          $inc: { successCount: 1 },
+        },
+      )
+
+      // 广播任务状态更新到所有客户端
+      websocketService.broadcastTaskStatusUpdate({
+        taskId: waiter.taskId,
+        status: 'completed',
+        lastRunAt: task.lastRunAt,
+        nextRunAt, // 包含 nextRunAt
+        executionId,
+        attempt: execution?.attempt || 1,
+        successCount: (task.successCount || 0) + 1,
+        failureCount: task.failureCount || 0,
+      })
+
+      if (execution) {
+        await triggerDependents(task, execution, 'success')
+      }
+    }
+  }
+  catch (error) {
+    console.error('[任务执行器] 更新任务结果失败:', error)
+  }
+
+  waiter.resolve(result)
+  return { accepted: true }
+})
+
+// 设置任务日志回调：执行端在任务执行过程中上报的步骤日志
+websocketService.setTaskLogCallback(async (data, { workerId } = {}) => {
+  const taskId = await resolveReportingExecution(data?.executionId, workerId, '日志')
+  if (!taskId) {
+    return
+  }
+
+  await appendExecutionLog(new ObjectId(data.executionId), buildClientLogEntry(data, workerId), taskId)
+})
+
+// 设置任务进度回调：执行端上报的当前步骤和完成百分比
+websocketService.setTaskProgressCallback(async (data, { workerId } = {}) => {
+  const taskId = await resolveReportingExecution(data?.executionId, workerId, '进度')
+  if (!taskId) {
+    return
+  }
+
+  const executionId = data.executionId
+  const progress = {
+    step: data.step ? String(data.step).slice(0, 200) : null,
+    stepIndex: Number.isInteger(data.stepIndex) ? data.stepIndex : null,
+    totalSteps: Number.isInteger(data.totalSteps) ? data.totalSteps : null,
+    percent: Number.isFinite(data.percent) ? Math.min(Math.max(Math.round(data.percent), 0), 100) : null,
+    stage: data.stage ? String(data.stage).slice(0, 500) : null,
+    updatedAt: new Date(),
+  }
+
+  try {
+    await getDatabase().collection('task_executions').updateOne(
+      { _id: new ObjectId(executionId), status: 'running' },
+      {
+        $set: { progress, lastProgressAt: progress.updatedAt },
+        $unset: { stalledAt: '' },
+      },
+    )
+  }
+  catch (error) {
+    console.error('[任务执行器] 更新执行进度失败:', error)
+    return
+  }
+
+  const waiter = taskResultWaiters.get(executionId)
+  const wasStalled = waiter?.stalled || false
   if (waiter) {
+    waiter.stalled = false
+  }
+
+  websocketService.broadcastTaskStatusUpdate({
+    taskId,
+    status: 'running',
+    executionId,
+    progress,
+    stalled: false,
+    ...(wasStalled ? { resumedAt: progress.updatedAt } : {}),
+  })
+})
+
+// 设置执行端丢失回调：执行端断开或心跳超时后，其未完成的执行按重试策略重新排队或标记失败
+websocketService.setWorkerLostCallback(async (workerId, executionIds, reason) => {
+  for (const executionId of executionIds) {
+    const waiter = taskResultWaiters.get(executionId)
+    if (!waiter) {
+      continue
+    }
+
     clearTimeout(waiter.timeout)
-    taskResultWaiters.delete(taskId)
-    
-    // 更新执行记录
+    taskResultWaiters.delete(executionId)
+
+    const errorMessage = `执行任务的客户端 ${workerId} 已失去连接 (${reason})`
+    await addExecutionLog(waiter.executionId, 'error', errorMessage, { workerId, reason })
+    await failExecution(waiter.taskId, waiter.executionId, errorMessage, {
+      errorClass: 'worker_lost',
+      fields: { workerLostReason: reason },
+    })
+    waiter.reject(settledError(errorMessage))
+  }
+})
+
+/**
+ * 校验执行端上报（日志、进度）所属的执行
+ * 只接受分配到的执行端对执行中任务的上报，同时刷新该执行的最近活动时间
+ * @param {string} executionId - 执行记录ID
+ * @param {string} workerId - 上报的执行端ID
+ * @param {string} kind - 上报类型，用于日志
+ * @returns {Promise<string|null>} 执行所属的任务ID，校验失败返回 null
+ */
+async function resolveReportingExecution(executionId, workerId, kind) {
+  if (!executionId || !ObjectId.isValid(executionId)) {
+    console.warn(`[任务执行器] 拒绝缺少 executionId 的任务${kind}，来自 ${workerId || '未注册客户端'}`)
+    return null
+  }
+
+  const waiter = taskResultWaiters.get(executionId)
+  if (waiter) {
+    if (waiter.workerId !== workerId) {
+      console.warn(`[任务执行器] 忽略非指定执行端的任务${kind}: 执行 ${executionId}，来自 ${workerId || '未注册客户端'}`)
+      return null
+    }
+    waiter.lastActivityAt = Date.now()
+    return waiter.taskId
+  }
+
+  try {
+    const execution = await getDatabase().collection('task_executions').findOne(
+      { _id: new ObjectId(executionId) },
+      { projection: { status: 1, workerId: 1, taskId: 1 } },
+    )
+    if (!execution || execution.status !== 'running' || execution.workerId !== workerId) {
+      console.warn(`[任务执行器] 忽略非执行中任务的${kind}: 执行 ${executionId}，来自 ${workerId || '未注册客户端'}`)
+      return null
+    }
+    return execution.taskId.toString()
+  }
+  catch (error) {
+    console.error(`[任务执行器] 校验任务${kind}失败:`, error)
+    return null
+  }
+}
+
+/**
+ * 检查停滞的执行
+ * 执行端超过 STALL_THRESHOLD_MS 没有上报进度或日志时，标记执行为停滞并广播
+ */
+async function checkStalledExecutions() {
+  const now = Date.now()
+
+  for (const [executionId, waiter] of taskResultWaiters) {
+    if (waiter.stalled || now - waiter.lastActivityAt < STALL_THRESHOLD_MS) {
+      continue
+    }
+
+    waiter.stalled = true
+    const stalledAt = new Date()
+    console.warn(`[任务执行器] 执行停滞: ${executionId}，执行端 ${waiter.workerId} 已 ${Math.round((now - waiter.lastActivityAt) / 1000)} 秒无上报`)
+
+    try {
+      await getDatabase().collection('task_executions').updateOne(
+        { _id: waiter.executionId, status: 'running' },
+        { $set: { stalledAt } },
+      )
+    }
+    catch (error) {
+      console.error('[任务执行器] 标记执行停滞失败:', error)
+    }
+
+    websocketService.broadcastTaskStatusUpdate({
+      taskId: waiter.taskId,
+      status: 'running',
+      executionId,
+      stalled: true,
+      stalledAt,
+      lastActivityAt: new Date(waiter.lastActivityAt),
+    })
+  }
+}
+
+/**
+ * 按 UTF-8 字节数截断字符串，不截断在多字节字符中间
+ */
+function truncateUtf8(text, maxBytes) {
+  const buffer = Buffer.from(text)
+  if (buffer.length <= maxBytes) {
+    return text
+  }
+  let end = maxBytes
+  // 回退到字符边界（UTF-8 后续字节的高两位为 10）
+  while (end > 0 && (buffer[end] & 0xC0) === 0x80) {
+    end--
+  }
+  return buffer.subarray(0, end).toString()
+}
+
+/**
+ * 构建执行端上报的日志条目，并对大小做限制
+ */
+function buildClientLogEntry(data, workerId) {
+  const level = LOG_LEVELS.includes(data.level) ? data.level : 'info'
+  const message = String(data.message ?? '')
+
+  let details = data.details ?? {}
+  const serialized = JSON.stringify(details) ?? ''
+  if (Buffer.byteLength(serialized) > MAX_LOG_DETAILS_BYTES) {
+    details = {
+      truncated: true,
+      preview: truncateUtf8(serialized, MAX_LOG_DETAILS_BYTES),
+    }
+  }
+
+  return {
+    timestamp: new Date(),
+    level,
+    source: 'client',
+    workerId,
+    step: data.step ? String(data.step).slice(0, 200) : null,
+    message: message.slice(0, MAX_LOG_MESSAGE_LENGTH),
+    details,
+    screenshot: typeof data.screenshot === 'string' ? data.screenshot.slice(0, 1000) : null,
+  }
+}
+
+/**
+ * 处理没有对应等待器的任务结果
+ * 已结束执行的重复结果视为幂等投递，其余（过期、未知的执行）直接拒绝
+ * @returns {Promise<object>} 回执 { accepted, reason }
+ */
+async function rejectUnmatchedResult(taskId, executionId, workerId) {
+  try {
+    const execution = ObjectId.isValid(executionId)
+      ? await getDatabase().collection('task_executions').findOne({ _id: new ObjectId(executionId) })
+      : null
+
+    if (!execution) {
+      console.warn(`[任务执行器] 拒绝未知执行的任务结果: 执行 ${executionId}，任务 ${taskId}，来自 ${workerId || '未注册客户端'}`)
+      return { accepted: false, reason: 'unknown_execution' }
+    }
+
+    if (execution.status === 'completed' || execution.status === 'failed') {
+      console.log(`[任务执行器] 忽略重复投递的任务结果: 执行 ${executionId} 已是 ${execution.status}`)
+      return { accepted: true, duplicate: true }
+    }
+
+    console.warn(`[任务执行器] 拒绝过期的任务结果: 执行 ${executionId} 当前状态 ${execution.status}，来自 ${workerId || '未注册客户端'}`)
+    return { accepted: false, reason: 'stale' }
+  }
+  catch (error) {
+    console.error('[任务执行器] 校验任务结果失败:', error)
+    return { accepted: false, reason: 'error' }
+  }
+}
+
+/**
+ * 创建带错误分类的执行错误，用于判断是否需要重试
+ * @param {string} message - 错误信息
+ * @param {string} errorClass - 错误分类，见 ERROR_CLASSES
+ */
+function executionError(message, errorClass) {
+  const error = new Error(message)
+  error.errorClass = errorClass
+  return error
+}
+
+/**
+ * 创建已完成状态更新的错误（执行记录和任务统计已写入，调用方无需重复处理）
+ */
+function settledError(message) {
+  const error = new Error(message)
+  error.settled = true
+  return error
+}
+
+/**
+ * 创建需要放回队列的错误（执行端暂时不可用，等待空闲后重新领取，不算作执行失败）
+ */
+function requeueError(message) {
+  const error = new Error(message)
+  error.requeue = true
+  return error
+}
+
+/**
+ * 检查是否有相同店铺、同类型任务正在执行
+ * @param {ObjectId} shopId - 店铺ID
+ * @param {string} taskType - 任务类型: 'auto_flow' | 'login'
+ * @param {ObjectId} excludeTaskId - 排除的任务ID（当前任务）
+ * @returns {Promise<boolean>} 如果有正在执行的任务，返回 true
+ */
+async function checkRunningTask(shopId, taskType, excludeTaskId = null) {
+  try {
     const db = getDatabase()
-    const executionsCollection = db.collection('task_executions')
     const tasksCollection = db.collection('scheduled_tasks')
-    
-    try {
-      // 获取执行记录
-      const execution = await executionsCollection.findOne({ _id: waiter.executionId })
-      if (execution) {
-        const startedAt = execution.startedAt.getTime ? execution.startedAt.getTime() : new Date(execution.startedAt).getTime()
-        
-        // 更新执行记录
-        await executionsCollection.updateOne(
-          { _id: waiter.executionId },
-          {
-            $set: {
-              status: result.code === 200 ? 'completed' : 'failed',
-              completedAt: new Date(),
-              duration: Date.now() - startedAt,
-              result,
-              error: result.code !== 200 ? (result.message || '任务执行失败') : null,
-              shopName: result.data?.shopName || null,
-              platform: result.data?.platform || null,
-            },
+
+    // 构建查询条件：相同店铺、相同任务类型、状态为 running
+    const query = {
+      shopId: shopId,
+      taskType: taskType,
+      status: 'running',
+    }
+
+    // 如果提供了排除的任务ID，则排除它
+    if (excludeTaskId) {
+      query._id = { $ne: excludeTaskId }
+    }
+
+    // 查询是否有正在执行的任务
+    const runningTask = await tasksCollection.findOne(query)
+
+    if (runningTask) {
+      console.log(`[任务执行器] 检测到相同店铺(${shopId})、同类型任务(${taskType})正在执行，任务ID: ${runningTask._id}`)
+      return true
+    }
+
+    return false
+  }
+  catch (error) {
+    console.error('[任务执行器] 检查正在执行的任务失败:', error)
+    // 如果检查失败，为了安全起见，返回 true（阻止执行）
+    return true
+  }
+}
+
+/**
+ * 执行任务
+ * 创建执行记录并将任务写入持久化队列，由队列轮询领取后推送到客户端执行，不等待执行完成
+ * 多实例部署时任务可能由其他实例领取执行，执行结果以执行记录为准
+ * @param {object} task - 任务对象
+ * @param {object} [options]
+ * @param {string} [options.trigger='cron'] - 触发方式: 'cron' | 'manual' | 'catchup' | 'dependency'
+ * @param {Date} [options.scheduledFor] - 原定执行时间（补执行时记录）
+ * @param {Date} [options.deferredUntil] - 推迟到该时间后才开始执行（处于禁止执行时段或配置了随机延迟时）
+ * @param {object} [options.deferral] - 推迟执行的原因 { reason, calendarId }
+ * @param {object} [options.upstream] - 由上游任务触发时的上游执行记录
+ * @returns {Promise<{ executionId: ObjectId }>}
+ */
+export async function enqueueExecution(task, { trigger = 'cron', scheduledFor = null, deferredUntil = null, deferral = null, upstream = null } = {}) {
+  // 检查是否有相同店铺、同类型任务正在执行
+  const hasRunningTask = await checkRunningTask(task.shopId, task.taskType, task._id)
+  if (hasRunningTask) {
+    const errorMessage = `该店铺已有相同类型的任务正在执行中，请等待任务完成后再试`
+    console.log(`[任务执行器] 任务执行被阻止: ${errorMessage} (任务ID: ${task._id})`)
+    throw new Error(errorMessage)
+  }
+
+  const executionId = new ObjectId()
+  const db = getDatabase()
+  const executionsCollection = db.collection('task_executions')
+  const tasksCollection = db.collection('scheduled_tasks')
+
+  // 店铺所属平台和公司主体用于并发限制和执行记录查询
+  const shop = await db.collection('shops').findOne(
+    { _id: task.shopId },
+    { projection: { shopName: 1, platform: 1, companyId: 1 } },
+  )
+
+  // 原子地将任务切换为 running（推迟执行时为 deferred），任务已在执行或等待执行时放弃（多实例下同一任务不会被同时执行）
+  const lastRunAt = new Date()
+  const status = deferredUntil ? 'deferred' : 'running'
+  const previousTask = await tasksCollection.findOneAndUpdate(
+    { _id: task._id, status: { $nin: ['running', 'retrying', 'deferred'] } },
+    deferredUntil
+      ? { $set: { status, deferredUntil, updatedAt: new Date() } }
+      : {
+          $set: {
+            status,
+            lastRunAt,
+            updatedAt: new Date(),
           },
-        )
+          $inc: { runCount: 1 },
+        },
+    { returnDocument: 'before' },
+  )
+  if (!previousTask) {
+    const errorMessage = `该任务正在执行中，请等待任务完成后再试`
+    console.log(`[任务执行器] 任务执行被阻止: ${errorMessage} (任务ID: ${task._id})`)
+    throw new Error(errorMessage)
+  }
+
+  // 创建执行记录（排队中，领取后变为 running）
+  const execution = {
+    _id: executionId,
+    taskId: task._id,
+    shopId: task.shopId,
+    taskType: task.taskType,
+    shopName: shop?.shopName || null,
+    platform: shop?.platform || null,
+    companyId: shop?.companyId || null,
+    status: 'queued',
+    trigger,
+    ...(scheduledFor ? { scheduledFor } : {}),
+    ...(deferredUntil ? { deferredUntil, deferReason: deferral?.reason || null, calendarId: deferral?.calendarId || null } : {}),
+    ...(upstream
+      ? {
+          upstreamExecutionId: upstream._id,
+          upstreamTaskId: upstream.taskId,
+          chainRootExecutionId: upstream.chainRootExecutionId || upstream._id,
+          chainDepth: (upstream.chainDepth || 0) + 1,
+        }
+      : {}),
+    attempt: 1,
+    startedAt: new Date(),
+    logs: [],
+  }
+
+  try {
+    await executionsCollection.insertOne(execution)
+  }
+  catch (error) {
+    // 执行记录创建失败时恢复任务状态，避免任务一直处于 running
+    await tasksCollection.updateOne(
+      { _id: task._id, status },
+      {
+        $set: { status: previousTask.status || 'pending', updatedAt: new Date() },
+        ...(deferredUntil ? { $unset: { deferredUntil: '' } } : { $inc: { runCount: -1 } }),
+      },
+    )
+    throw error
+  }
+
+  // 在上游执行记录上记录触发的下游执行，两端都能查到依赖链
+  if (upstream) {
+    await executionsCollection.updateOne(
+      { _id: upstream._id },
+      { $push: { downstreamExecutionIds: executionId } },
+    )
+  }
+
+  // 广播任务状态更新到所有客户端（任务开始执行）
+  websocketService.broadcastTaskStatusUpdate({
+    taskId: task._id.toString(),
+    status,
+    ...(deferredUntil ? { deferredUntil, deferReason: deferral?.reason || null } : { lastRunAt }),
+    executionId: executionId.toString(),
+  })
+
+  // 将任务写入持久化队列，写入失败时按执行失败处理，避免任务一直停留在 running
+  try {
+    await jobQueue.enqueue({
+      taskId: task._id,
+      executionId,
+      shopId: task.shopId,
+      taskType: task.taskType,
+      platform: shop?.platform || null,
+      companyId: shop?.companyId || null,
+      attempt: 1,
+      ...(deferredUntil ? { deferredUntil } : {}),
+    }, {
+      ...(deferredUntil ? { availableAt: deferredUntil } : {}),
+      priority: resolveJobPriority(task, trigger),
+    })
+  }
+  catch (error) {
+    console.error(`[任务执行器] 任务写入队列失败 (执行ID: ${executionId}):`, error)
+    await failExecution(task._id, executionId, `任务写入队列失败: ${error.message}`)
+    throw error
+  }
+
+  // 立即触发一次队列轮询，减少等待
+  pump()
+
+  return { executionId }
+}
+
+/**
+ * 队列优先级：手动执行优先，其余按任务配置的默认优先级（重试在 scheduleRetry 中固定为低优先级）
+ */
+function resolveJobPriority(task, trigger) {
+  if (trigger === 'manual') {
+    return 'high'
+  }
+  return task.priority || 'normal'
+}
+
+/**
+ * 启动队列轮询
+ */
+export function startExecutor() {
+  if (pollTimer) {
+    return
+  }
+
+  pollTimer = setInterval(pump, POLL_INTERVAL_MS)
+  stallTimer = setInterval(checkStalledExecutions, STALL_CHECK_INTERVAL_MS)
+  console.log(`[任务执行器] 队列轮询已启动 (${jobQueue.ownerId})`)
+  pump()
+}
+
+/**
+ * 停止队列轮询
+ */
+export function stopExecutor() {
+  if (pollTimer) {
+    clearInterval(pollTimer)
+    pollTimer = null
+  }
+  if (stallTimer) {
+    clearInterval(stallTimer)
+    stallTimer = null
+  }
+}
+
+/**
+ * 从队列中领取任务并执行
+ */
+async function pump() {
+  if (pumping || !pollTimer) {
+    return
+  }
+
+  pumping = true
+  try {
+    // 定期回收其他进程遗留的过期租约
+    if (Date.now() - lastReclaimAt > RECLAIM_INTERVAL_MS) {
+      lastReclaimAt = Date.now()
+      await reclaimExpiredJobs()
+    }
+
+    // 并发限制按所有实例正在执行的任务统计
+    const limits = await concurrencyLimits.get()
+    const usage = await jobQueue.countLeased()
+
+    // 按最近 1 秒内的领取次数限速，入队后立即触发的轮询也受该限制
+    const now = Date.now()
+    recentLeaseTimes = recentLeaseTimes.filter(time => now - time < LEASE_RATE_WINDOW_MS)
+
+    // 执行端只连接到一个实例，只领取当前实例有空闲执行端可以执行的任务
+    const workerSlots = getFreeWorkerSlots()
+
+    while (usage.total < limits.globalLimit && recentLeaseTimes.length < LEASE_RATE_LIMIT) {
+      const workerFilter = buildWorkerFilter(workerSlots)
+      if (!workerFilter) {
+        break
       }
-      
-      // 更新任务统计和 nextRunAt
-      const task = await tasksCollection.findOne({ _id: new ObjectId(taskId) })
-      if (task) {
-        const newStatus = result.code === 200 ? 'completed' : 'failed'
-        
-        // 计算下次执行时间（基于当前时间）
-        const nextRunAt = taskScheduler.calculateNextRunTime(task.cronExpression, new Date())
-        
-        await tasksCollection.updateOne(
-          { _id: task._id },
-          {
-            $set: {
-              status: newStatus,
-              updatedAt: new Date(),
-              nextRunAt, // 更新下次执行时间
-            },
-            $inc: result.code === 200 ? { successCount: 1 } : { failureCount: 1 },
-          },
-        )
 
-        // 广播任务状态更新到所有客户端
-        websocketService.broadcastTaskStatusUpdate({
-          taskId: taskId,
-          status: newStatus,
-          lastRunAt: task.lastRunAt,
-          nextRunAt, // 包含 nextRunAt
-          successCount: result.code === 200 ? (task.successCount || 0) + 1 : (task.successCount || 0),
-          failureCount: result.code !== 200 ? (task.failureCount || 0) + 1 : (task.failureCount || 0),
-        })
-      }
-    }
-    catch (error) {
-      console.error('[任务执行器] 更新任务结果失败:', error)
+      const job = await jobQueue.lease({ $and: [buildLeaseFilter(limits, usage), workerFilter] })
+      if (!job) {
+        break
+      }
+
+      recentLeaseTimes.push(Date.now())
+      addUsage(usage, job)
+      reserveWorkerSlot(workerSlots, job.platform)
+      runJob(job)
+    }
+  }
+  catch (error) {
+    console.error('[任务执行器] 队列轮询失败:', error)
+  }
+  finally {
+    pumping = false
+  }
+}
+
+/**
+ * 当前进程执行端的空闲名额，扣除已领取但尚未推送到执行端的任务
+ */
+function getFreeWorkerSlots() {
+  const slots = websocketService.getAvailableWorkers()
+  for (const { job } of activeJobs.values()) {
+    if (!taskResultWaiters.has(job.executionId.toString())) {
+      reserveWorkerSlot(slots, job.platform)
+    }
+  }
+  return slots
+}
+
+// 占用一个可以执行该平台任务的空闲名额，匹配规则与 selectWorker 一致
+function reserveWorkerSlot(slots, platform) {
+  const slot = slots.find(item => item.free > 0
+    && (!platform || item.platforms.length === 0 || item.platforms.includes(platform)))
+  if (slot) {
+    slot.free--
+  }
+}
+
+// 只领取有空闲执行端支持的平台的任务，没有空闲名额时返回 null
+function buildWorkerFilter(slots) {
+  const freeSlots = slots.filter(slot => slot.free > 0)
+  if (freeSlots.length === 0) {
+    return null
+  }
+  if (freeSlots.some(slot => slot.platforms.length === 0)) {
+    return {}
+  }
+  return { platform: { $in: [null, ...new Set(freeSlots.flatMap(slot => slot.platforms))] } }
+}
+
+// 排除已达到并发上限的平台和公司主体
+function buildLeaseFilter(limits, usage) {
+  const saturatedPlatforms = [...usage.platforms.entries()]
+    .filter(([platform, count]) => {
+      const limit = concurrencyLimits.getPlatformLimit(limits, platform)
+      return limit !== null && count >= limit
+    })
+    .map(([platform]) => platform)
+  const saturatedCompanies = [...usage.companies.entries()]
+    .filter(([companyId, count]) => {
+      const limit = concurrencyLimits.getCompanyLimit(limits, companyId)
+      return limit !== null && count >= limit
+    })
+    .map(([companyId]) => new ObjectId(companyId))
+
+  return {
+    ...(saturatedPlatforms.length > 0 ? { platform: { $nin: saturatedPlatforms } } : {}),
+    ...(saturatedCompanies.length > 0 ? { companyId: { $nin: saturatedCompanies } } : {}),
+  }
+}
+
+function addUsage(usage, job) {
+  usage.total++
+  if (job.platform) {
+    usage.platforms.set(job.platform, (usage.platforms.get(job.platform) || 0) + 1)
+  }
+  if (job.companyId) {
+    const companyKey = job.companyId.toString()
+    usage.companies.set(companyKey, (usage.companies.get(companyKey) || 0) + 1)
+  }
+}
+
+/**
+ * 判断队列任务需要等待的原因
+ * @returns {string|null} 等待原因，可立即执行时返回 null
+ */
+function resolveWaitReason(job, limits, usage, now) {
+  if (job.availableAt > now) {
+    if (job.deferredUntil) {
+      return 'deferred'
+    }
+    return job.attempt > 1 ? 'retry_backoff' : 'scheduled'
+  }
+  if (usage.total >= limits.globalLimit) {
+    return 'global_limit'
+  }
+  const platformLimit = concurrencyLimits.getPlatformLimit(limits, job.platform)
+  if (platformLimit !== null && (usage.platforms.get(job.platform) || 0) >= platformLimit) {
+    return 'platform_limit'
+  }
+  const companyLimit = concurrencyLimits.getCompanyLimit(limits, job.companyId)
+  if (companyLimit !== null && (usage.companies.get(job.companyId.toString()) || 0) >= companyLimit) {
+    return 'company_limit'
+  }
+  return null
+}
+
+/**
+ * 按任务类型统计最近完成的执行的平均耗时，用于估算排队任务的开始时间
+ */
+async function getAverageDurations() {
+  const db = getDatabase()
+  const groups = await db.collection('task_executions')
+    .aggregate([
+      { $match: { status: 'completed', duration: { $gt: 0 } } },
+      { $sort: { completedAt: -1 } },
+      { $limit: DURATION_SAMPLE_SIZE },
+      { $group: { _id: '$taskType', avgDuration: { $avg: '$duration' } } },
+    ])
+    .toArray()
+  return new Map(groups.map(group => [group._id, Math.round(group.avgDuration)]))
+}
+
+/**
+ * 获取执行队列状态：并发限制、当前占用以及每个等待中任务的排队位置、等待原因和预计开始时间
+ * 按领取顺序模拟一次领取，排在前面、可以执行的任务会占用并发名额
+ * 预计开始时间只按全局并发数和历史平均耗时估算，不考虑平台和公司主体的限制
+ */
+export async function getQueueStatus() {
+  const now = new Date()
+  const limits = await concurrencyLimits.get()
+  const usage = await jobQueue.countLeased()
+  const running = {
+    total: usage.total,
+    platforms: Object.fromEntries(usage.platforms),
+    companies: Object.fromEntries(usage.companies),
+  }
+
+  // 已到执行时间的任务按领取顺序在前，未到时间的按可执行时间排在后面
+  const pendingJobs = await jobQueue.find({ status: 'pending' })
+  const orderedJobs = [
+    ...pendingJobs.filter(job => job.availableAt <= now),
+    ...pendingJobs.filter(job => job.availableAt > now).sort((a, b) => a.availableAt - b.availableAt),
+  ]
+
+  const averageDurations = await getAverageDurations()
+  const estimateDuration = job => averageDurations.get(job.taskType) || FALLBACK_ESTIMATED_DURATION_MS
+
+  // 每个并发名额预计空闲的时间，正在执行的任务按开始时间加平均耗时估算
+  const leasedJobs = await jobQueue.find({ status: 'leased' })
+  const slots = leasedJobs
+    .map(job => Math.max(now.getTime(), new Date(job.leasedAt || now).getTime() + estimateDuration(job)))
+    .sort((a, b) => a - b)
+    .slice(0, limits.globalLimit)
+  while (slots.length < limits.globalLimit) {
+    slots.push(now.getTime())
+  }
+
+  const waiting = orderedJobs.map((job, index) => {
+    const waitReason = resolveWaitReason(job, limits, usage, now)
+    if (!waitReason) {
+      addUsage(usage, job)
+    }
+
+    slots.sort((a, b) => a - b)
+    const estimatedStart = Math.max(slots.shift(), new Date(job.availableAt).getTime())
+    slots.push(estimatedStart + estimateDuration(job))
+
+    return {
+      job,
+      position: index + 1,
+      waitReason: waitReason || 'ready',
+      waitReasonText: WAIT_REASON_TEXT[waitReason || 'ready'],
+      estimatedStartAt: new Date(estimatedStart),
+    }
+  })
+
+  return { limits, running, waiting }
+}
+
+/**
+ * 执行队列中领取到的任务
+ * @param {object} job - 队列任务
+ */
+async function runJob(job) {
+  const jobKey = job._id.toString()
+  const { executionId } = job
+
+  // 执行期间定期续约，防止被其他进程回收；续约时检查其他实例发起的取消
+  const renewTimer = setInterval(() => {
+    jobQueue.renew(job._id)
+      .then((renewed) => {
+        if (!renewed) {
+          console.warn(`[任务执行器] 队列任务租约已丢失: ${jobKey}`)
+          return
+        }
+        if (renewed.cancelRequest) {
+          console.log(`[任务执行器] 执行已被其他实例取消，通知执行端停止: ${executionId}`)
+          stopExecutionInClient(executionId, renewed.cancelRequest.reason)
+        }
+      })
+      .catch(error => console.error('[任务执行器] 续约失败:', error))
+  }, LEASE_RENEW_INTERVAL_MS)
+  activeJobs.set(jobKey, { job, renewTimer })
+
+  const db = getDatabase()
+  const executionsCollection = db.collection('task_executions')
+  const tasksCollection = db.collection('scheduled_tasks')
+
+  let task = null
+  let requeued = false
+  try {
+    task = await tasksCollection.findOne({ _id: job.taskId })
+    if (!task) {
+      throw executionError('任务不存在', 'internal')
     }
-    
-    if (result.code === 200) {
-      waiter.resolve(result)
-    } else {
-      waiter.reject(new Error(result.message || '任务执行失败'))
+
+    // 在执行前再次检查是否有相同店铺、同类型任务正在执行
+    // 因为任务可能在队列中等待了一段时间，期间可能有其他任务开始执行
+    const hasRunningTask = await checkRunningTask(task.shopId, task.taskType, task._id)
+    if (hasRunningTask) {
+      const errorMessage = `该店铺已有相同类型的任务正在执行中，请等待任务完成后再试`
+      console.log(`[任务执行器] 任务执行被阻止（队列执行前检查）: ${errorMessage} (任务ID: ${task._id})`)
+      throw executionError(errorMessage, 'blocked')
     }
-  }
-})
 
-/**
- * 检查是否有相同店铺、同类型任务正在执行
- * @param {ObjectId} shopId - 店铺ID
- * @param {string} taskType - 任务类型: 'auto_flow' | 'login'
- * @param {ObjectId} excludeTaskId - 排除的任务ID（当前任务）
- * @returns {Promise<boolean>} 如果有正在执行的任务，返回 true
- */
-async function checkRunningTask(shopId, taskType, excludeTaskId = null) {
-  try {
-    const db = getDatabase()
-    const tasksCollection = db.collection('scheduled_tasks')
+    // 获取店铺信息
+    const shopsCollection = db.collection('shops')
+    const shop = await shopsCollection.findOne({ _id: task.shopId })
 
-    // 构建查询条件：相同店铺、相同任务类型、状态为 running
-    const query = {
-      shopId: shopId,
-      taskType: taskType,
-      status: 'running',
+    if (!shop) {
+      throw executionError('店铺不存在', 'internal')
     }
 
-    // 如果提供了排除的任务ID，则排除它
-    if (excludeTaskId) {
-      query._id = { $ne: excludeTaskId }
+    // 领取后执行端可能已断开或被占满，放回队列等待
+    if (!websocketService.selectWorker(shop.platform)) {
+      throw requeueError(`没有可执行 ${shop.platform || '该平台'} 任务的空闲客户端`)
     }
 
-    // 查询是否有正在执行的任务
-    const runningTask = await tasksCollection.findOne(query)
+    // 构建店铺数据（直接使用数据库中的字段，不做二次封装）
+    const shopData = {
+      id: shop._id.toString(),
+      shopId: shop.shopId || shop._id.toString(),
+      name: shop.shopName,
+      platform: shop.platform,
+      homeUrl: shop.homeUrl || null,
+      loginUrl: shop.loginUrl || null,
+      cookies: shop.cookies || [],
+      browserConfig: shop.browserConfig || {},
+      autoConfig: task.config?.autoConfig || shop.autoConfig || null,
+    }
 
-    if (runningTask) {
-      console.log(`[任务执行器] 检测到相同店铺(${shopId})、同类型任务(${taskType})正在执行，任务ID: ${runningTask._id}`)
-      return true
+    // 重试在等待延迟后才真正开始，开始时间以领取时为准
+    // 只有仍在排队的执行记录才能开始，排队期间被取消的直接结束
+    const started = await executionsCollection.updateOne(
+      { _id: executionId, status: 'queued' },
+      { $set: { status: 'running', ...(job.attempt > 1 || job.deferredUntil ? { startedAt: new Date() } : {}) } },
+    )
+    if (started.matchedCount === 0) {
+      throw settledError('任务已取消')
     }
 
-    return false
+    // 重试和推迟执行的任务在等待期间状态为 retrying / deferred，开始执行后恢复为 running
+    if (['retrying', 'deferred'].includes(task.status)) {
+      await tasksCollection.updateOne(
+        { _id: task._id, status: task.status },
+        {
+          $set: { status: 'running', lastRunAt: new Date(), updatedAt: new Date() },
+          $unset: { deferredUntil: '' },
+          $inc: { runCount: 1 },
+        },
+      )
+    }
+
+    // 添加日志
+    await addExecutionLog(executionId, 'info', '任务开始执行', { shopData: { id: shopData.id, name: shopData.name } })
+
+    // 通过 WebSocket 推送任务到前端执行，并等待结果
+    // 注意：执行记录的更新会在 WebSocket 回调中完成
+    const timeoutMs = resolveTaskTimeout(task)
+    const result = await executeTaskInClient(task._id.toString(), shopData, task.taskType, executionId, job._id, timeoutMs)
+
+    // 添加日志
+    await addExecutionLog(executionId, 'info', '任务已推送到客户端，等待执行结果', { result })
   }
   catch (error) {
-    console.error('[任务执行器] 检查正在执行的任务失败:', error)
-    // 如果检查失败，为了安全起见，返回 true（阻止执行）
-    return true
+    if (error.requeue) {
+      console.log(`[任务执行器] ${error.message}，任务重新排队: 执行记录 ${executionId}`)
+      requeued = true
+      return
+    }
+
+    console.error(`[任务执行器] 任务执行失败 (${job.taskId}):`, error)
+
+    // 如果任务推送失败，需要更新执行记录
+    // 如果任务已推送但执行失败或超时，执行记录已在结果回调或超时处理中更新
+    const waiter = taskResultWaiters.get(executionId.toString())
+    if (!waiter) {
+      if (!error.settled) {
+        await failExecution(job.taskId, executionId, error.message || '未知错误', {
+          errorClass: error.errorClass || 'internal',
+        })
+      }
+    }
+    else {
+      // 任务已推送，清理 waiter（执行记录的更新会在 WebSocket 回调中完成）
+      clearTimeout(waiter.timeout)
+      taskResultWaiters.delete(executionId.toString())
+      websocketService.releaseExecution(waiter.workerId, waiter.executionId.toString())
+    }
+
+    // 添加错误日志
+    await addExecutionLog(executionId, 'error', '任务执行失败', { error: error.message })
+  }
+  finally {
+    clearInterval(renewTimer)
+    activeJobs.delete(jobKey)
+
+    try {
+      if (requeued) {
+        await jobQueue.release(job._id, { availableAt: new Date(Date.now() + POLL_INTERVAL_MS) })
+        await executionsCollection.updateOne(
+          { _id: executionId, status: 'running' },
+          { $set: { status: 'queued' } },
+        )
+      }
+      else {
+        await jobQueue.complete(job._id)
+      }
+    }
+    catch (error) {
+      console.error(`[任务执行器] ${requeued ? '任务重新排队' : '移除队列任务'}失败:`, error)
+    }
+
+    // 有空闲名额后继续领取
+    pump()
   }
 }
 
 /**
- * 执行任务
- * @param {object} task - 任务对象
+ * 取消执行
+ * - 排队中的执行：从队列中移除
+ * - 执行中的执行：通知执行端停止，并结束结果等待
+ * 执行记录和任务状态都会标记为 cancelled，不计入失败次数，也不会触发重试
+ * @param {ObjectId|string} executionId - 执行记录ID
+ * @param {object} [options]
+ * @param {object} [options.cancelledBy] - 取消人 { userId, username }
+ * @param {string} [options.reason] - 取消原因
+ * @returns {Promise<object>} 取消后的执行记录
  */
-export async function executeTask(task) {
-  // 检查是否有相同店铺、同类型任务正在执行
-  const hasRunningTask = await checkRunningTask(task.shopId, task.taskType, task._id)
-  if (hasRunningTask) {
-    const errorMessage = `该店铺已有相同类型的任务正在执行中，请等待任务完成后再试`
-    console.log(`[任务执行器] 任务执行被阻止: ${errorMessage} (任务ID: ${task._id})`)
-    throw new Error(errorMessage)
-  }
-
-  const executionId = new ObjectId()
+export async function cancelExecution(executionId, { cancelledBy = null, reason = '手动取消' } = {}) {
   const db = getDatabase()
   const executionsCollection = db.collection('task_executions')
   const tasksCollection = db.collection('scheduled_tasks')
 
-  // 创建执行记录
-  const execution = {
-    _id: executionId,
-    taskId: task._id,
-    shopId: task.shopId,
-    status: 'running',
-    startedAt: new Date(),
-    logs: [],
+  const id = new ObjectId(executionId)
+  const execution = await executionsCollection.findOne({ _id: id })
+  if (!execution) {
+    throw new Error('执行记录不存在')
+  }
+  if (!['queued', 'running'].includes(execution.status)) {
+    throw new Error('执行已结束，无法取消')
   }
 
-  await executionsCollection.insertOne(execution)
-
-  // 更新任务状态
-  const lastRunAt = new Date()
-  await tasksCollection.updateOne(
-    { _id: task._id },
+  // 先将执行记录标记为已取消，防止被队列领取后继续执行
+  const startedAt = execution.startedAt.getTime ? execution.startedAt.getTime() : new Date(execution.startedAt).getTime()
+  const cancelled = await executionsCollection.findOneAndUpdate(
+    { _id: id, status: { $in: ['queued', 'running'] } },
     {
       $set: {
-        status: 'running',
-        lastRunAt,
-        updatedAt: new Date(),
+        status: 'cancelled',
+        completedAt: new Date(),
+        duration: Date.now() - startedAt,
+        error: reason,
+        cancelledAt: new Date(),
+        cancelledBy,
       },
-      $inc: { runCount: 1 },
     },
+    { returnDocument: 'after' },
   )
+  if (!cancelled) {
+    throw new Error('执行已结束，无法取消')
+  }
 
-  // 广播任务状态更新到所有客户端（任务开始执行）
-  websocketService.broadcastTaskStatusUpdate({
-    taskId: task._id.toString(),
-    status: 'running',
-    lastRunAt,
-    executionId: executionId.toString(),
-  })
+  // 从队列中移除尚未执行的任务
+  await jobQueue.remove({ executionId: id, status: 'pending' })
 
-  // 将任务加入队列执行
-  return queue.add(async () => {
-    try {
-      // 在队列执行前再次检查是否有相同店铺、同类型任务正在执行
-      // 因为任务可能在队列中等待了一段时间，期间可能有其他任务开始执行
-      const hasRunningTask = await checkRunningTask(task.shopId, task.taskType, task._id)
-      if (hasRunningTask) {
-        const errorMessage = `该店铺已有相同类型的任务正在执行中，请等待任务完成后再试`
-        console.log(`[任务执行器] 任务执行被阻止（队列执行前检查）: ${errorMessage} (任务ID: ${task._id})`)
-        
-        // 更新执行记录为失败
-        const startedAt = execution.startedAt.getTime ? execution.startedAt.getTime() : new Date(execution.startedAt).getTime()
-        await executionsCollection.updateOne(
-          { _id: executionId },
-          {
-            $set: {
-              status: 'failed',
-              completedAt: new Date(),
-              duration: Date.now() - startedAt,
-              error: errorMessage,
-            },
-          },
-        )
+  // 执行中的任务：通知执行端停止并结束结果等待
+  if (taskResultWaiters.has(id.toString())) {
+    stopExecutionInClient(id, reason)
+  }
+  else {
+    // 任务由其他实例领取时，在队列任务上标记取消，由持有租约的实例在续约时通知它连接的执行端
+    await jobQueue.requestCancel(id, reason)
+    if (execution.workerId) {
+      // 执行端可能连接在当前进程，仍尝试直接通知
+      websocketService.sendTaskCancel(execution.workerId, {
+        taskId: execution.taskId.toString(),
+        executionId: id.toString(),
+        reason: 'cancelled',
+        message: reason,
+      })
+    }
+  }
 
-        // 更新任务状态为失败
-        const nextRunAt = taskScheduler.calculateNextRunTime(task.cronExpression, new Date())
-        await tasksCollection.updateOne(
-          { _id: task._id },
-          {
-            $set: {
-              status: 'failed',
-              updatedAt: new Date(),
-              nextRunAt,
-            },
-            $inc: { failureCount: 1 },
-          },
-        )
+  await addExecutionLog(id, 'warn', '任务已取消', { reason, cancelledBy })
+
+  // 更新任务状态
+  const task = await tasksCollection.findOne({ _id: execution.taskId })
+  if (task) {
+    const { nextRunAt, nextFireAt } = await taskScheduler.calculateTaskNextSchedule(task)
 
-        // 广播任务状态更新到所有客户端
-        websocketService.broadcastTaskStatusUpdate({
-          taskId: task._id.toString(),
-          status: 'failed',
-          lastRunAt: task.lastRunAt,
+    await tasksCollection.updateOne(
+      { _id: task._id },
+      {
+        $set: {
+          status: 'cancelled',
+          updatedAt: new Date(),
           nextRunAt,
-          failureCount: (task.failureCount || 0) + 1,
-        })
+          nextFireAt,
+        },
+        $unset: { nextRetryAt: '', deferredUntil: '' },
+      },
+    )
 
-        throw new Error(errorMessage)
-      }
+    websocketService.broadcastTaskStatusUpdate({
+      taskId: task._id.toString(),
+      status: 'cancelled',
+      lastRunAt: task.lastRunAt,
+      nextRunAt,
+      executionId: id.toString(),
+      attempt: execution.attempt || 1,
+      cancelledBy,
+    })
+  }
 
-      // 获取店铺信息
-      const shopsCollection = db.collection('shops')
-      const shop = await shopsCollection.findOne({ _id: task.shopId })
+  console.log(`[任务执行器] 执行已取消: ${id} (任务ID: ${execution.taskId})`, cancelledBy)
 
-      if (!shop) {
-        throw new Error('店铺不存在')
-      }
+  return cancelled
+}
 
-      // 构建店铺数据（直接使用数据库中的字段，不做二次封装）
-      const shopData = {
-        id: shop._id.toString(),
-        shopId: shop.shopId || shop._id.toString(),
-        name: shop.shopName,
-        platform: shop.platform,
-        homeUrl: shop.homeUrl || null,
-        loginUrl: shop.loginUrl || null,
-        cookies: shop.cookies || [],
-        browserConfig: shop.browserConfig || {},
-        autoConfig: task.config?.autoConfig || shop.autoConfig || null,
-      }
+/**
+ * 通知执行端停止已取消的执行，并结束当前进程中的结果等待
+ * 执行记录和任务状态由 cancelExecution 更新
+ */
+function stopExecutionInClient(executionId, reason) {
+  const executionKey = executionId.toString()
+  const waiter = taskResultWaiters.get(executionKey)
+  if (!waiter) {
+    return
+  }
 
-      // 添加日志
-      await addExecutionLog(executionId, 'info', '任务开始执行', { shopData: { id: shopData.id, name: shopData.name } })
+  clearTimeout(waiter.timeout)
+  taskResultWaiters.delete(executionKey)
+  websocketService.releaseExecution(waiter.workerId, executionKey)
+  websocketService.sendTaskCancel(waiter.workerId, {
+    taskId: waiter.taskId,
+    executionId: executionKey,
+    reason: 'cancelled',
+    message: reason,
+  })
+  waiter.reject(settledError(reason))
+}
 
-      // 通过 WebSocket 推送任务到前端执行，并等待结果
-      // 注意：执行记录的更新会在 WebSocket 回调中完成
-      const result = await executeTaskInClient(task._id.toString(), shopData, task.taskType, executionId)
+/**
+ * 取消任务所有排队中和执行中的执行
+ * @param {ObjectId|string} taskId - 任务ID
+ * @param {object} [options] - 同 cancelExecution
+ * @returns {Promise<object[]>} 已取消的执行记录
+ */
+export async function cancelTaskExecutions(taskId, options = {}) {
+  const db = getDatabase()
+  const executionsCollection = db.collection('task_executions')
 
-      // 添加日志
-      await addExecutionLog(executionId, 'info', '任务已推送到客户端，等待执行结果', { result })
+  const executions = await executionsCollection
+    .find({ taskId: new ObjectId(taskId), status: { $in: ['queued', 'running'] } })
+    .toArray()
 
-      return result
+  const cancelled = []
+  for (const execution of executions) {
+    try {
+      cancelled.push(await cancelExecution(execution._id, options))
     }
     catch (error) {
-      console.error(`[任务执行器] 任务执行失败 (${task._id}):`, error)
+      // 取消过程中执行已自然结束，忽略
+      console.warn(`[任务执行器] 取消执行失败 (${execution._id}):`, error.message)
+    }
+  }
 
-      // 如果任务推送失败，需要更新执行记录
-      // 如果任务已推送但执行失败，执行记录的更新会在 WebSocket 回调中完成
-      // 这里只处理推送失败的情况
-      const startedAt = execution.startedAt.getTime ? execution.startedAt.getTime() : new Date(execution.startedAt).getTime()
-      
-      // 检查是否已推送任务（通过检查 waiter 是否存在）
-      const waiter = taskResultWaiters.get(task._id.toString())
-      if (!waiter) {
-        // 任务未推送，直接更新执行记录和任务统计
-        await executionsCollection.updateOne(
-          { _id: executionId },
-          {
-            $set: {
-              status: 'failed',
-              completedAt: new Date(),
-              duration: Date.now() - startedAt,
-              error: error.message || '未知错误',
-            },
-          },
-        )
+  return cancelled
+}
 
-        // 计算下次执行时间
-        const nextRunAt = taskScheduler.calculateNextRunTime(task.cronExpression, new Date())
-
-        await tasksCollection.updateOne(
-          { _id: task._id },
-          {
-            $set: {
-              status: 'failed',
-              updatedAt: new Date(),
-              nextRunAt, // 更新下次执行时间
-            },
-            $inc: { failureCount: 1 },
-          },
-        )
+/**
+ * 回收过期租约
+ * 未推送到客户端的任务重新放回队列；已推送的任务因结果等待器随进程丢失，直接标记为失败
+ * @param {object} [options]
+ * @param {boolean} [options.keepSchedule] - 标记失败时保留任务原有的下次触发时间（服务启动恢复时使用）
+ */
+async function reclaimExpiredJobs({ keepSchedule = false } = {}) {
+  const expiredJobs = await jobQueue.findExpired()
 
-        // 广播任务状态更新到所有客户端
-        websocketService.broadcastTaskStatusUpdate({
-          taskId: task._id.toString(),
-          status: 'failed',
-          lastRunAt: task.lastRunAt,
-          nextRunAt, // 包含 nextRunAt
-          failureCount: (task.failureCount || 0) + 1,
-        })
-      } else {
-        // 任务已推送，清理 waiter（执行记录的更新会在 WebSocket 回调中完成）
-        clearTimeout(waiter.timeout)
-        taskResultWaiters.delete(task._id.toString())
-      }
+  for (const job of expiredJobs) {
+    if (job.dispatchedAt) {
+      console.warn(`[任务执行器] 已推送的任务租约过期，标记为失败: 执行记录 ${job.executionId}`)
+      await failExecution(job.taskId, job.executionId, '任务执行进程已退出，执行结果丢失', { errorClass: 'interrupted', keepSchedule })
+      await jobQueue.complete(job._id)
+    }
+    else {
+      console.log(`[任务执行器] 回收未推送的任务，重新排队: 执行记录 ${job.executionId}`)
+      await jobQueue.release(job._id)
+      await getDatabase().collection('task_executions').updateOne(
+        { _id: job.executionId, status: 'running' },
+        { $set: { status: 'queued' } },
+      )
+    }
+  }
+
+  return expiredJobs.length
+}
+
+/**
+ * 服务启动时恢复执行状态
+ * - 回收过期租约：未推送的任务重新排队，已推送的任务标记为失败
+ * - 没有对应队列任务的 queued/running 执行记录视为孤儿记录，标记为失败
+ * - 处于 running / retrying / deferred 状态但没有进行中执行记录的任务恢复为 failed
+ */
+export async function recoverExecutions() {
+  try {
+    const db = getDatabase()
+    const executionsCollection = db.collection('task_executions')
+    const tasksCollection = db.collection('scheduled_tasks')
+
+    // 恢复先于调度器启动，保留任务原有的 nextFireAt，调度器才能找出停机期间错过的执行
+    const reclaimedCount = await reclaimExpiredJobs({ keepSchedule: true })
+    lastReclaimAt = Date.now()
+
+    // 仍在队列中的执行记录（排队中或由存活进程持有）
+    const queuedJobs = await jobQueue.find()
+    const queuedExecutionIds = queuedJobs.map(job => job.executionId)
 
-      // 添加错误日志
-      await addExecutionLog(executionId, 'error', '任务执行失败', { error: error.message })
+    const orphanedExecutions = await executionsCollection
+      .find({
+        status: { $in: ['queued', 'running'] },
+        _id: { $nin: queuedExecutionIds },
+      })
+      .toArray()
 
-      throw error
+    for (const execution of orphanedExecutions) {
+      await failExecution(execution.taskId, execution._id, '服务重启，任务执行被中断', { errorClass: 'interrupted', keepSchedule: true })
     }
-  })
+
+    // 没有进行中执行记录却仍处于执行或等待执行状态的任务
+    // （例如切换任务状态后、创建执行记录前进程退出），不重置的话任务将无法再次执行
+    const activeTaskIds = await executionsCollection.distinct('taskId', {
+      status: { $in: ['queued', 'running'] },
+    })
+    const stuckTasks = await tasksCollection.updateMany(
+      { status: { $in: ['running', 'retrying', 'deferred'] }, _id: { $nin: activeTaskIds } },
+      {
+        $set: { status: 'failed', updatedAt: new Date() },
+        $unset: { nextRetryAt: '', deferredUntil: '' },
+      },
+    )
+
+    console.log(`[任务执行器] 执行状态恢复完成: 回收租约 ${reclaimedCount} 个，待执行 ${queuedJobs.length} 个，中断执行 ${orphanedExecutions.length} 个，重置任务 ${stuckTasks.modifiedCount} 个`)
+  }
+  catch (error) {
+    console.error('[任务执行器] 恢复执行状态失败:', error)
+  }
 }
 
 /**
@@ -337,8 +1273,10 @@ export async function executeTask(task) {
  * @param {object} shopData - 店铺数据
  * @param {string} taskType - 任务类型: 'auto_flow' | 'login'
  * @param {ObjectId} executionId - 执行记录ID
+ * @param {ObjectId} jobId - 队列任务ID
+ * @param {number} timeoutMs - 执行超时时间
  */
-async function executeTaskInClient(taskId, shopData, taskType, executionId) {
+async function executeTaskInClient(taskId, shopData, taskType, executionId, jobId, timeoutMs) {
   return new Promise((resolve, reject) => {
     try {
       console.log(`[任务执行器] 通过 WebSocket 推送任务:`, {
@@ -347,46 +1285,78 @@ async function executeTaskInClient(taskId, shopData, taskType, executionId) {
         taskType,
       })
 
-      // 检查是否有客户端连接
-      const clientCount = websocketService.getClientCount()
-      if (clientCount === 0) {
-        reject(new Error('没有可用的客户端连接，请确保自动化任务窗口已启动'))
+      // 检查是否有执行端连接
+      if (websocketService.getWorkerCount() === 0) {
+        reject(requeueError('没有可用的客户端连接，请确保自动化任务窗口已启动'))
+        return
+      }
+
+      // 选择一个支持该平台且有空闲容量的执行端
+      const worker = websocketService.selectWorker(shopData.platform)
+      if (!worker) {
+        reject(requeueError(`没有可执行 ${shopData.platform || '该平台'} 任务的空闲客户端`))
         return
       }
+      const workerId = worker.id
 
-      // 创建任务结果等待器（超时时间：30分钟）
+      // 创建任务结果等待器（按 executionId 匹配结果）
+      const executionKey = executionId.toString()
       const timeout = setTimeout(async () => {
-        const waiter = taskResultWaiters.get(taskId)
+        const waiter = taskResultWaiters.get(executionKey)
         if (waiter) {
-          taskResultWaiters.delete(taskId)
+          taskResultWaiters.delete(executionKey)
+          websocketService.releaseExecution(waiter.workerId, executionKey)
+
+          // 通知执行端停止执行，避免服务端已判定超时后客户端仍在运行
+          const errorMessage = `任务执行超时（${formatDuration(timeoutMs)}）`
+          websocketService.sendTaskCancel(waiter.workerId, {
+            taskId,
+            executionId: executionKey,
+            reason: 'timeout',
+            message: errorMessage,
+          })
+
           // 更新执行记录为超时
-          await updateTaskTimeout(taskId, waiter.executionId)
-          reject(new Error('任务执行超时（30分钟）'))
+          await updateTaskTimeout(taskId, waiter.executionId, errorMessage)
+          reject(settledError(errorMessage))
         }
-      }, 30 * 60 * 1000)
+      }, timeoutMs)
 
-      taskResultWaiters.set(taskId, {
+      taskResultWaiters.set(executionKey, {
         resolve,
         reject,
         timeout,
+        taskId,
         executionId,
+        workerId,
+        lastActivityAt: Date.now(),
+        stalled: false,
       })
 
-      // 通过 WebSocket 推送任务
-      const sentCount = websocketService.sendTaskExecute(taskId, shopData, taskType)
+      // 通过 WebSocket 推送任务到选中的执行端
+      const sent = websocketService.sendTaskExecute(workerId, taskId, executionKey, shopData, taskType)
 
-      if (sentCount === 0) {
+      if (!sent) {
         clearTimeout(timeout)
-        taskResultWaiters.delete(taskId)
-        reject(new Error('任务推送失败，没有可用的客户端连接'))
+        taskResultWaiters.delete(executionKey)
+        reject(executionError(`任务推送失败，客户端 ${workerId} 不可用`, 'dispatch_failed'))
         return
       }
 
-      console.log(`[任务执行器] 任务已推送到 ${sentCount} 个客户端，等待执行结果...`)
+      websocketService.assignExecution(workerId, executionKey)
+
+      // 记录执行该任务的客户端
+      getDatabase().collection('task_executions')
+        .updateOne({ _id: executionId }, { $set: { workerId, dispatchedAt: new Date() } })
+        .catch(error => console.error('[任务执行器] 记录执行客户端失败:', error))
+      jobQueue.markDispatched(jobId, workerId)
+        .catch(error => console.error('[任务执行器] 记录队列任务推送状态失败:', error))
+
+      console.log(`[任务执行器] 任务已推送到客户端 ${workerId}，等待执行结果...`)
     }
     catch (error) {
       console.error(`[任务执行器] 推送任务失败:`, error.message)
-      reject(new Error(`推送任务失败: ${error.message}`))
+      reject(executionError(`推送任务失败: ${error.message}`, 'dispatch_failed'))
     }
   })
 }
@@ -394,7 +1364,40 @@ async function executeTaskInClient(taskId, shopData, taskType, executionId) {
 /**
  * 更新任务超时状态
  */
-async function updateTaskTimeout(taskId, executionId) {
+async function updateTaskTimeout(taskId, executionId, errorMessage) {
+  await failExecution(taskId, executionId, errorMessage, { errorClass: 'timeout', status: 'timed_out' })
+}
+
+/**
+ * 获取任务的执行超时时间
+ * @param {object} task - 任务对象
+ * @returns {number} 超时毫秒数
+ */
+export function resolveTaskTimeout(task) {
+  return task.timeoutMs || DEFAULT_TIMEOUT_MS[task.taskType] || FALLBACK_TIMEOUT_MS
+}
+
+/**
+ * 格式化时长，用于错误信息
+ */
+function formatDuration(ms) {
+  if (ms % (60 * 1000) === 0) {
+    return `${ms / 60 / 1000}分钟`
+  }
+  return `${Math.round(ms / 1000)}秒`
+}
+
+/**
+ * 将执行记录标记为失败，更新任务统计和下次执行时间，并按任务的重试策略安排重试
+ * @param {ObjectId|string} taskId - 任务ID
+ * @param {ObjectId} executionId - 执行记录ID
+ * @param {string} errorMessage - 失败原因
+ * @param {object} [options]
+ * @param {string} [options.errorClass='internal'] - 错误分类
+ * @param {string} [options.status='failed'] - 执行记录的最终状态: 'failed' | 'timed_out'
+ * @param {object} [options.fields] - 需要一并写入执行记录的字段
+ */
+async function failExecution(taskId, executionId, errorMessage, { errorClass = 'internal', status: finalStatus = 'failed', fields = {}, keepSchedule = false } = {}) {
   try {
     const db = getDatabase()
     const executionsCollection = db.collection('task_executions')
@@ -405,57 +1408,227 @@ async function updateTaskTimeout(taskId, executionId) {
     if (execution) {
       const startedAt = execution.startedAt.getTime ? execution.startedAt.getTime() : new Date(execution.startedAt).getTime()
       
-      // 更新执行记录
-      await executionsCollection.updateOne(
-        { _id: executionId },
+      // 更新执行记录（仅更新未结束的记录，重复的失败处理不会重复计数）
+      const updated = await executionsCollection.updateOne(
+        { _id: executionId, status: { $in: ['queued', 'running'] } },
         {
           $set: {
-            status: 'failed',
+            ...fields,
+            status: finalStatus,
             completedAt: new Date(),
             duration: Date.now() - startedAt,
-            error: '任务执行超时（30分钟）',
+            error: errorMessage,
+            errorClass,
           },
         },
       )
+      if (updated.matchedCount === 0) {
+        console.warn(`[任务执行器] 执行记录已结束，跳过失败处理: ${executionId} (${execution.status})`)
+        return
+      }
     }
 
     // 更新任务统计
     const task = await tasksCollection.findOne({ _id: new ObjectId(taskId) })
     if (task) {
-      // 计算下次执行时间
-      const nextRunAt = taskScheduler.calculateNextRunTime(task.cronExpression, new Date())
+      // 计算下次执行时间；服务启动恢复时保留原有的触发时间，调度器启动时据此找出停机期间错过的执行
+      const { nextRunAt, nextFireAt } = keepSchedule
+        ? { nextRunAt: task.nextRunAt, nextFireAt: task.nextFireAt }
+        : await taskScheduler.calculateTaskNextSchedule(task)
+
+      // 按重试策略安排重试
+      const retry = execution ? await scheduleRetry(task, execution, errorClass) : null
+      const status = retry ? 'retrying' : finalStatus
       
       await tasksCollection.updateOne(
         { _id: task._id },
         {
           $set: {
-            status: 'failed',
+            status,
             updatedAt: new Date(),
-            nextRunAt, // 更新下次执行时间
+            ...(keepSchedule ? {} : { nextRunAt, nextFireAt }), // 更新下次执行时间
+            ...(retry ? { nextRetryAt: retry.availableAt } : {}),
           },
+          ...(retry ? {} : { $unset: { nextRetryAt: '' } }),
           $inc: { failureCount: 1 },
         },
       )
 
       // 广播任务状态更新到所有客户端
       websocketService.broadcastTaskStatusUpdate({
-        taskId: taskId,
-        status: 'failed',
+        taskId: task._id.toString(),
+        status,
         lastRunAt: task.lastRunAt,
         nextRunAt, // 包含 nextRunAt
+        executionId: executionId.toString(),
+        attempt: execution?.attempt || 1,
+        nextRetryAt: retry?.availableAt || null,
         failureCount: (task.failureCount || 0) + 1,
       })
+
+      // 还会重试时不算最终失败，等最后一次尝试结束后再触发下游任务
+      if (execution && !retry) {
+        await triggerDependents(task, execution, 'failure')
+      }
+    }
+  }
+  catch (error) {
+    console.error('[任务执行器] 更新任务失败状态失败:', error)
+  }
+}
+
+// 依赖链相关字段，重试执行沿用首次执行所在的依赖链
+function pickChainFields(execution) {
+  if (!execution.upstreamExecutionId) {
+    return {}
+  }
+  return {
+    upstreamExecutionId: execution.upstreamExecutionId,
+    upstreamTaskId: execution.upstreamTaskId,
+    chainRootExecutionId: execution.chainRootExecutionId,
+    chainDepth: execution.chainDepth,
+  }
+}
+
+/**
+ * 触发依赖当前任务的下游任务
+ * 下游任务通过 dependsOn 声明上游任务及触发条件（success / failure / always）
+ * @param {object} task - 上游任务
+ * @param {object} execution - 上游任务结束的执行记录
+ * @param {string} outcome - 执行结果: 'success' | 'failure'
+ */
+async function triggerDependents(task, execution, outcome) {
+  try {
+    const db = getDatabase()
+    const dependents = await db.collection('scheduled_tasks')
+      .find({
+        enabled: true,
+        dependsOn: { $elemMatch: { taskId: task._id, on: { $in: [outcome, 'always'] } } },
+      })
+      .toArray()
+
+    if (dependents.length === 0) {
+      return
+    }
+
+    if ((execution.chainDepth || 0) + 1 > MAX_CHAIN_DEPTH) {
+      console.warn(`[任务执行器] 依赖链超过 ${MAX_CHAIN_DEPTH} 层，不再触发下游任务 (执行ID: ${execution._id})`)
+      await addExecutionLog(execution._id, 'warn', `依赖链超过 ${MAX_CHAIN_DEPTH} 层，不再触发下游任务`)
+      return
+    }
+
+    for (const dependent of dependents) {
+      console.log(`[任务执行器] 任务 ${task._id} 执行${outcome === 'success' ? '成功' : '失败'}，触发下游任务 ${dependent._id}`)
+
+      try {
+        // 不等待下游任务执行完成，执行结果记录在下游任务自己的执行记录中
+        await enqueueExecution(dependent, { trigger: 'dependency', upstream: execution })
+      }
+      catch (error) {
+        console.error(`[任务执行器] 触发下游任务失败 (${dependent._id}):`, error.message)
+        await addExecutionLog(execution._id, 'warn', '触发下游任务失败', {
+          taskId: dependent._id.toString(),
+          error: error.message,
+        })
+      }
     }
   }
   catch (error) {
-    console.error('[任务执行器] 更新任务超时状态失败:', error)
+    console.error('[任务执行器] 触发下游任务失败:', error)
+  }
+}
+
+/**
+ * 按任务的重试策略安排下一次尝试
+ * 重试会创建新的执行记录，通过 parentExecutionId 关联到首次执行
+ * @param {object} task - 任务对象
+ * @param {object} execution - 失败的执行记录
+ * @param {string} errorClass - 错误分类
+ * @returns {Promise<object|null>} 重试信息 { executionId, attempt, availableAt }，不重试时返回 null
+ */
+async function scheduleRetry(task, execution, errorClass) {
+  const retryPolicy = normalizeRetryPolicy(task.retryPolicy)
+  const attempt = execution.attempt || 1
+
+  if (!task.enabled && execution.trigger !== 'manual') {
+    return null
   }
+  if (!shouldRetry(retryPolicy, attempt, errorClass)) {
+    return null
+  }
+
+  const db = getDatabase()
+  const executionsCollection = db.collection('task_executions')
+
+  const delayMs = computeRetryDelay(retryPolicy, attempt)
+  const availableAt = new Date(Date.now() + delayMs)
+  const retryExecutionId = new ObjectId()
+  const parentExecutionId = execution.parentExecutionId || execution._id
+
+  await executionsCollection.insertOne({
+    _id: retryExecutionId,
+    taskId: task._id,
+    shopId: task.shopId,
+    taskType: task.taskType,
+    shopName: execution.shopName || null,
+    platform: execution.platform || null,
+    companyId: execution.companyId || null,
+    status: 'queued',
+    trigger: 'retry',
+    attempt: attempt + 1,
+    parentExecutionId,
+    previousExecutionId: execution._id,
+    ...pickChainFields(execution),
+    scheduledFor: availableAt,
+    startedAt: new Date(),
+    logs: [],
+  })
+
+  await executionsCollection.updateOne(
+    { _id: execution._id },
+    { $set: { nextAttemptExecutionId: retryExecutionId, nextRetryAt: availableAt } },
+  )
+
+  await jobQueue.enqueue({
+    taskId: task._id,
+    executionId: retryExecutionId,
+    shopId: task.shopId,
+    taskType: task.taskType,
+    platform: execution.platform || null,
+    companyId: execution.companyId || null,
+    attempt: attempt + 1,
+  }, { availableAt, priority: 'low' })
+
+  await addExecutionLog(execution._id, 'info', `将在 ${Math.round(delayMs / 1000)} 秒后进行第 ${attempt + 1} 次尝试`, {
+    errorClass,
+    retryExecutionId: retryExecutionId.toString(),
+  })
+
+  console.log(`[任务执行器] 任务 ${task._id} 第 ${attempt} 次执行失败 (${errorClass})，${Math.round(delayMs / 1000)} 秒后重试`)
+
+  return { executionId: retryExecutionId, attempt: attempt + 1, availableAt }
 }
 
 /**
  * 添加执行日志
  */
 async function addExecutionLog(executionId, level, message, details = {}) {
+  await appendExecutionLog(executionId, {
+    timestamp: new Date(),
+    level,
+    source: 'server',
+    message,
+    details,
+  })
+}
+
+/**
+ * 追加执行日志，只保留最新的 MAX_EXECUTION_LOGS 条，并转发给订阅该执行的客户端
+ * @param {ObjectId} executionId - 执行记录ID
+ * @param {object} entry - 日志条目
+ * @param {string} [taskId] - 任务ID，用于转发消息
+ */
+async function appendExecutionLog(executionId, entry, taskId = null) {
   try {
     const db = getDatabase()
     const executionsCollection = db.collection('task_executions')
@@ -465,17 +1638,24 @@ async function addExecutionLog(executionId, level, message, details = {}) {
       {
         $push: {
           logs: {
-            timestamp: new Date(),
-            level,
-            message,
-            details,
+            $each: [entry],
+            $slice: -MAX_EXECUTION_LOGS,
           },
         },
+        $inc: { logCount: 1 },
       },
     )
+
+    websocketService.publish(`execution:${executionId}`, {
+      type: 'task:log',
+      data: {
+        executionId: executionId.toString(),
+        taskId,
+        log: entry,
+      },
+    })
   }
   catch (error) {
     console.error('[任务执行器] 添加日志失败:', error)
   }
 }
-
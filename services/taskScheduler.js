@@ -2,11 +2,61 @@ import cron from 'node-cron'
 import { CronExpressionParser } from 'cron-parser'
 import { ObjectId } from 'mongodb'
 import { getDatabase } from '../config/database.js'
-import { executeTask } from './taskExecutor.js'
+import { enqueueExecution } from './taskExecutor.js'
+import { jobQueue } from './jobQueue.js'
+import { websocketService } from './websocketService.js'
+import { findBlackout, resolveDeferredTime } from '../utils/calendar.js'
+import { computeJitterOffset } from '../utils/jitter.js'
+
+// 服务器默认时区，任务未配置 timezone 时使用
+export const DEFAULT_TIMEZONE = 'Asia/Shanghai'
+
+// 错过执行的补偿策略：skip 跳过，run_once 补执行一次，run_all 逐个补执行（最多 maxRuns 次）
+export const MISFIRE_MODES = ['skip', 'run_once', 'run_all']
+export const DEFAULT_MISFIRE_POLICY = { mode: 'skip', maxRuns: 5 }
+export const MAX_MISFIRE_RUNS = 20
+
+// 触发锁：多实例部署时，同一任务的同一次触发只允许一个实例执行
+const FIRE_LOCK_COLLECTION = 'task_fire_locks'
+// 没有 node-cron 传入的触发时刻时，按当前时间向后容忍的范围来确定本次触发对应的计划时间
+// 实际容忍范围不超过 cron 触发间隔的一半，避免高频任务取到下一次触发
+const FIRE_TIME_TOLERANCE_MS = 5 * 1000
+
+// 定期与数据库同步调度，感知直接修改数据库或其他实例对任务的修改
+const SYNC_INTERVAL_MS = 30 * 1000
+
+// 计算下次执行时间时，最多跳过的处于禁止执行时段的触发次数
+const MAX_BLACKOUT_SKIPS = 1000
+
+// 逐个补执行时，等待上一次执行结束的轮询间隔和最长等待时间
+const MISSED_RUN_POLL_INTERVAL_MS = 5 * 1000
+const MISSED_RUN_WAIT_MS = 6 * 60 * 60 * 1000
+
+/**
+ * 校验 IANA 时区名称（如 Asia/Shanghai、Europe/London）
+ * @param {string} timezone - 时区名称
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  }
+  catch (error) {
+    return false
+  }
+}
 
 class TaskScheduler {
   constructor() {
     this.jobs = new Map() // 存储所有定时任务 { taskId: cronJob }
+    this.signatures = new Map() // 已调度任务的调度配置 { taskId: signature }，用于判断是否需要重新调度
+    this.syncTimer = null
+    this.syncing = false
+    this.resyncRequested = false // 同步进行中又有新的同步请求时，结束后再同步一次
     this.isStarted = false
   }
 
@@ -18,9 +68,252 @@ class TaskScheduler {
     }
 
     console.log('[任务调度器] 启动中...')
+
+    // 重新调度会覆盖 nextRunAt，需要在加载任务之前找出停机期间错过的执行
+    const missedRuns = await this.findMissedRuns()
+
     await this.loadTasks()
+    this.startSync()
     this.isStarted = true
     console.log('[任务调度器] 已启动')
+
+    this.runMissedRuns(missedRuns)
+  }
+
+  // 停止调度器
+  stop() {
+    this.stopSync()
+    this.jobs.forEach(job => job.destroy())
+    this.jobs.clear()
+    this.signatures.clear()
+    this.isStarted = false
+    console.log('[任务调度器] 已停止')
+  }
+
+  startSync() {
+    if (this.syncTimer) {
+      return
+    }
+    this.syncTimer = setInterval(() => {
+      this.syncTasks()
+    }, SYNC_INTERVAL_MS)
+    this.syncTimer.unref?.()
+  }
+
+  stopSync() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer)
+      this.syncTimer = null
+    }
+  }
+
+  // 调度配置签名，cron 表达式、时区、日历或随机延迟变化时才需要重新调度
+  getSignature(task) {
+    return [
+      task.cronExpression,
+      task.timezone || DEFAULT_TIMEZONE,
+      (task.calendarIds || []).join(','),
+      JSON.stringify(task.jitter || null),
+    ].join('|')
+  }
+
+  /**
+   * 与数据库对账：调度新增的任务、重新调度配置变化的任务、移除已删除或禁用的任务
+   * 未变化的任务保持原有定时器，不会重写 nextRunAt
+   */
+  async syncTasks() {
+    if (this.syncing) {
+      this.resyncRequested = true
+      return
+    }
+    this.syncing = true
+
+    try {
+      const db = getDatabase()
+      const tasks = await db.collection('scheduled_tasks')
+        .find({ enabled: true }, { projection: { shopId: 1, cronExpression: 1, timezone: 1, calendarIds: 1, jitter: 1, shopName: 1 } })
+        .toArray()
+
+      const enabledIds = new Set()
+      let added = 0
+      let updated = 0
+      let removed = 0
+
+      for (const task of tasks) {
+        const taskId = task._id.toString()
+        enabledIds.add(taskId)
+
+        if (!this.jobs.has(taskId)) {
+          this.scheduleTask(task)
+          added++
+        }
+        else if (this.signatures.get(taskId) !== this.getSignature(task)) {
+          this.scheduleTask(task)
+          updated++
+        }
+      }
+
+      for (const taskId of [...this.jobs.keys()]) {
+        if (!enabledIds.has(taskId)) {
+          this.removeTask(taskId)
+          removed++
+        }
+      }
+
+      if (added || updated || removed) {
+        console.log(`[任务调度器] 同步完成: 新增 ${added} 个，更新 ${updated} 个，移除 ${removed} 个`)
+      }
+    }
+    catch (error) {
+      console.error('[任务调度器] 同步任务失败:', error)
+    }
+    finally {
+      this.syncing = false
+    }
+
+    if (this.resyncRequested) {
+      this.resyncRequested = false
+      await this.syncTasks()
+    }
+  }
+
+  /**
+   * 同步单个任务的调度（任务新增、修改、启用/禁用、删除后调用）
+   * @param {string} taskId - 任务ID
+   */
+  async syncTask(taskId) {
+    try {
+      const db = getDatabase()
+      const task = await db.collection('scheduled_tasks').findOne({ _id: new ObjectId(taskId) })
+
+      if (!task || !task.enabled) {
+        this.removeTask(taskId)
+        return
+      }
+
+      if (this.jobs.has(taskId) && this.signatures.get(taskId) === this.getSignature(task)) {
+        return
+      }
+
+      this.scheduleTask(task)
+    }
+    catch (error) {
+      console.error(`[任务调度器] 同步任务失败 (${taskId}):`, error)
+    }
+  }
+
+  // 找出停机期间错过的执行（下次触发时间已经过去的启用任务）
+  // 按不含随机延迟的 nextFireAt 计算，补执行时由 fireTask 重新加上延迟；旧数据没有 nextFireAt 时退回 nextRunAt
+  async findMissedRuns() {
+    try {
+      const db = getDatabase()
+      const tasksCollection = db.collection('scheduled_tasks')
+      const now = new Date()
+
+      // 执行中或等待执行的任务由执行器恢复，不做补偿
+      const overdueTasks = await tasksCollection
+        .find({
+          enabled: true,
+          $or: [
+            { nextFireAt: { $lt: now } },
+            { nextFireAt: { $exists: false }, nextRunAt: { $lt: now } },
+          ],
+          status: { $nin: ['running', 'retrying', 'deferred'] },
+        })
+        .toArray()
+
+      const missedRuns = []
+      for (const task of overdueTasks) {
+        const policy = { ...DEFAULT_MISFIRE_POLICY, ...(task.misfirePolicy || {}) }
+        const fireTimes = this.listFireTimesBetween(task, task.nextFireAt || task.nextRunAt, now, MAX_MISFIRE_RUNS)
+
+        if (fireTimes.length === 0) {
+          continue
+        }
+
+        const missedCount = fireTimes.length < MAX_MISFIRE_RUNS ? fireTimes.length : `至少 ${fireTimes.length}`
+        console.log(`[任务调度器] 任务 ${task._id} 停机期间错过 ${missedCount} 次执行，补偿策略: ${policy.mode}`)
+
+        if (policy.mode === 'run_once') {
+          missedRuns.push({ task, fireTimes: fireTimes.slice(-1) })
+        }
+        else if (policy.mode === 'run_all') {
+          missedRuns.push({ task, fireTimes: fireTimes.slice(-Math.min(policy.maxRuns, MAX_MISFIRE_RUNS)) })
+        }
+      }
+
+      return missedRuns
+    }
+    catch (error) {
+      console.error('[任务调度器] 检查错过的执行失败:', error)
+      return []
+    }
+  }
+
+  // 列出 [from, to) 之间任务应触发的时间（按时间升序，只保留最近的 limit 个）
+  // 从 to 向前倒推，停机很久的高频任务也只计算 limit 次
+  listFireTimesBetween(task, from, to, limit) {
+    const fireTimes = []
+    try {
+      // 起始时间取 from 前一毫秒，使 from 本身也计入
+      const interval = CronExpressionParser.parse(task.cronExpression, {
+        tz: task.timezone || DEFAULT_TIMEZONE,
+        currentDate: to,
+        startDate: new Date(new Date(from).getTime() - 1),
+      })
+      while (fireTimes.length < limit && interval.hasPrev()) {
+        fireTimes.unshift(interval.prev().toDate())
+      }
+    }
+    catch (error) {
+      console.error(`[任务调度器] 计算错过的执行时间失败 (${task._id}):`, error)
+    }
+    return fireTimes
+  }
+
+  // 补执行错过的任务，同一任务的多次补执行按顺序逐个进行
+  runMissedRuns(missedRuns) {
+    for (const { task, fireTimes } of missedRuns) {
+      (async () => {
+        for (const scheduledFor of fireTimes) {
+          try {
+            // 其他实例已执行过（或正在补执行）该次触发时跳过
+            if (!(await this.acquireFireLock(task._id, scheduledFor))) {
+              continue
+            }
+
+            console.log(`[任务调度器] 补执行任务: ${task._id}，原定时间 ${scheduledFor.toISOString()}`)
+            const fired = await this.fireTask(task._id, scheduledFor, 'catchup')
+            if (!fired) {
+              return
+            }
+
+            // 任务执行中时无法再次触发，等本次执行结束后再补执行下一次
+            if (!(await this.waitForTaskIdle(task._id))) {
+              console.warn(`[任务调度器] 等待任务 ${task._id} 执行结束超时，停止补执行`)
+              return
+            }
+          }
+          catch (error) {
+            console.error(`[任务调度器] 补执行任务失败 (${task._id}):`, error.message)
+          }
+        }
+      })()
+    }
+  }
+
+  // 等待任务的本次执行结束，执行可能由其他实例领取，按数据库中的任务状态判断
+  async waitForTaskIdle(taskId) {
+    const tasksCollection = getDatabase().collection('scheduled_tasks')
+    const deadline = Date.now() + MISSED_RUN_WAIT_MS
+    while (Date.now() < deadline) {
+      const task = await tasksCollection.findOne({ _id: taskId }, { projection: { status: 1 } })
+      if (!task || !['running', 'retrying', 'deferred'].includes(task.status)) {
+        return true
+      }
+      await new Promise(resolve => setTimeout(resolve, MISSED_RUN_POLL_INTERVAL_MS))
+    }
+    return false
   }
 
   // 从数据库加载所有启用的任务
@@ -31,10 +324,9 @@ class TaskScheduler {
       const tasks = await tasksCollection.find({ enabled: true }).toArray()
 
       // 清除所有现有任务
-      this.jobs.forEach((job, taskId) => {
-        job.destroy()
-        this.jobs.delete(taskId)
-      })
+      this.jobs.forEach(job => job.destroy())
+      this.jobs.clear()
+      this.signatures.clear()
 
       // 加载新任务
       for (const task of tasks) {
@@ -56,6 +348,7 @@ class TaskScheduler {
     if (this.jobs.has(taskId)) {
       this.jobs.get(taskId).destroy()
       this.jobs.delete(taskId)
+      this.signatures.delete(taskId)
     }
 
     // 验证 cron 表达式
@@ -67,10 +360,16 @@ class TaskScheduler {
     // 创建定时任务
     const job = cron.schedule(
       task.cronExpression,
-      async () => {
-        console.log(`[任务调度器] 执行任务: ${task.shopName || taskId} (${taskId})`)
+      async (context) => {
         try {
-          await executeTask(task)
+          // 多实例部署时只有抢到触发锁的实例执行
+          const scheduledFor = this.resolveFireTime(task, context?.date)
+          if (!(await this.acquireFireLock(task._id, scheduledFor))) {
+            console.log(`[任务调度器] 任务 ${taskId} 的本次触发已由其他实例执行，跳过`)
+            return
+          }
+
+          await this.fireTask(task._id, scheduledFor, 'cron')
         }
         catch (error) {
           console.error(`[任务调度器] 任务执行失败 (${taskId}):`, error)
@@ -78,16 +377,363 @@ class TaskScheduler {
       },
       {
         scheduled: true,
-        timezone: 'Asia/Shanghai',
+        timezone: task.timezone || DEFAULT_TIMEZONE,
       },
     )
 
     this.jobs.set(taskId, job)
+    this.signatures.set(taskId, this.getSignature(task))
 
     // 计算并更新下次执行时间
     this.updateNextRunTime(task)
 
-    console.log(`[任务调度器] 任务已调度: ${taskId} (${task.cronExpression})`)
+    console.log(`[任务调度器] 任务已调度: ${taskId} (${task.cronExpression}, ${task.timezone || DEFAULT_TIMEZONE})`)
+  }
+
+  /**
+   * 执行一次计划触发：读取最新的任务，处于禁止执行时段时按日历跳过或推迟
+   * 只等待写入队列，不等待执行完成
+   * @param {ObjectId} taskId - 任务ID
+   * @param {Date} scheduledFor - 计划触发时间
+   * @param {string} trigger - 触发方式: 'cron' | 'catchup'
+   * @returns {Promise<boolean>} 任务已删除或已禁用时返回 false
+   */
+  async fireTask(taskId, scheduledFor, trigger) {
+    // 调度后任务的店铺、配置等可能已被修改，执行前读取最新的任务
+    const db = getDatabase()
+    const task = await db.collection('scheduled_tasks').findOne({ _id: taskId })
+    if (!task || !task.enabled) {
+      console.log(`[任务调度器] 任务 ${taskId} 已删除或已禁用，跳过执行`)
+      return false
+    }
+
+    // 配置了随机延迟时，实际执行时间为触发时间加上延迟
+    const offsetMs = await this.getJitterOffset(task, scheduledFor)
+    const plannedAt = new Date(Math.max(scheduledFor.getTime() + offsetMs, Date.now()))
+
+    // 日历未配置时区时按任务的时区判断禁止执行时段
+    const calendars = await this.loadCalendars(task)
+    const timezone = task.timezone || DEFAULT_TIMEZONE
+    const blackout = findBlackout(calendars, plannedAt, timezone)
+
+    if (blackout) {
+      const deferredUntil = blackout.calendar.mode === 'defer'
+        ? resolveDeferredTime(calendars, blackout.endsAt, timezone)
+        : null
+
+      if (deferredUntil) {
+        console.log(`[任务调度器] 任务 ${taskId} 处于禁止执行时段（${blackout.calendar.name}），推迟到 ${deferredUntil.toISOString()} 执行`)
+        await enqueueExecution(task, {
+          trigger,
+          scheduledFor,
+          deferredUntil,
+          deferral: { calendarId: blackout.calendar._id, reason: this.formatBlackoutReason(blackout) },
+        })
+        return true
+      }
+
+      await this.recordSkippedFire(task, scheduledFor, trigger, blackout, calendars)
+      return true
+    }
+
+    if (plannedAt.getTime() - Date.now() >= 1000) {
+      console.log(`[任务调度器] 任务 ${taskId} 随机延迟 ${Math.round(offsetMs / 1000)} 秒，将于 ${plannedAt.toISOString()} 执行`)
+      await enqueueExecution(task, {
+        trigger,
+        scheduledFor,
+        deferredUntil: plannedAt,
+        deferral: { reason: `随机延迟 ${Math.round(offsetMs / 1000)} 秒` },
+      })
+      return true
+    }
+
+    console.log(`[任务调度器] 执行任务: ${task.shopName || taskId} (${taskId})`)
+    await enqueueExecution(task, { trigger, scheduledFor })
+    return true
+  }
+
+  formatBlackoutReason(blackout) {
+    return `处于禁止执行时段: ${blackout.calendar.name}${blackout.reason ? `（${blackout.reason}）` : ''}`
+  }
+
+  // 记录因禁止执行时段而跳过的触发
+  async recordSkippedFire(task, scheduledFor, trigger, blackout, calendars) {
+    const db = getDatabase()
+    const now = new Date()
+    const skipReason = this.formatBlackoutReason(blackout)
+
+    const shop = await db.collection('shops').findOne(
+      { _id: task.shopId },
+      { projection: { shopName: 1, platform: 1, companyId: 1 } },
+    )
+
+    await db.collection('task_executions').insertOne({
+      taskId: task._id,
+      shopId: task.shopId,
+      taskType: task.taskType,
+      shopName: shop?.shopName || null,
+      platform: shop?.platform || null,
+      companyId: shop?.companyId || null,
+      status: 'skipped',
+      trigger,
+      scheduledFor,
+      skipReason,
+      calendarId: blackout.calendar._id,
+      attempt: 1,
+      startedAt: now,
+      completedAt: now,
+      duration: 0,
+      logs: [],
+    })
+
+    const { nextRunAt, nextFireAt } = await this.calculateTaskNextSchedule(task, now, calendars)
+    await db.collection('scheduled_tasks').updateOne(
+      { _id: task._id },
+      { $set: { nextRunAt, nextFireAt, lastSkippedAt: now, lastSkipReason: skipReason, updatedAt: now } },
+    )
+
+    console.log(`[任务调度器] 任务 ${task._id} ${skipReason}，跳过本次执行`)
+
+    websocketService.broadcastTaskStatusUpdate({
+      taskId: task._id.toString(),
+      status: task.status || 'pending',
+      nextRunAt,
+      skipped: true,
+      skipReason,
+    })
+  }
+
+  // 加载任务引用的日历
+  async loadCalendars(task) {
+    if (!task.calendarIds?.length) {
+      return []
+    }
+    const db = getDatabase()
+    return db.collection('task_calendars')
+      .find({ _id: { $in: task.calendarIds } })
+      .toArray()
+  }
+
+  /**
+   * 计算任务的下次调度时间
+   * nextRunAt 为实际执行时间（含随机延迟和日历推迟），用于展示；
+   * nextFireAt 为对应的 cron 触发时间（不含延迟），停机后据此找出错过的触发
+   * @returns {Promise<{ nextRunAt: Date, nextFireAt: Date }>}
+   */
+  async calculateTaskNextSchedule(task, fromDate = null, calendars = null) {
+    return {
+      nextRunAt: await this.calculateTaskNextRunTime(task, fromDate, calendars),
+      nextFireAt: this.calculateNextRunTime(task.cronExpression, fromDate, task.timezone),
+    }
+  }
+
+  /**
+   * 计算任务的下次执行时间，跳过日历中禁止执行的时段（推迟模式下为时段结束的时间）
+   * @param {object} task - 任务
+   * @param {Date} [fromDate] - 起始时间，默认当前时间
+   * @param {object[]} [calendars] - 任务引用的日历，未传入时从数据库加载
+   */
+  async calculateTaskNextRunTime(task, fromDate = null, calendars = null) {
+    const taskCalendars = calendars || await this.loadCalendars(task)
+    if (taskCalendars.length === 0 && !task.jitter) {
+      return this.calculateNextRunTime(task.cronExpression, fromDate, task.timezone)
+    }
+
+    try {
+      const interval = CronExpressionParser.parse(task.cronExpression, {
+        tz: task.timezone || DEFAULT_TIMEZONE,
+        currentDate: fromDate || new Date(),
+      })
+      const slot = await this.resolveSpreadSlot(task)
+
+      for (let i = 0; i < MAX_BLACKOUT_SKIPS && interval.hasNext(); i++) {
+        const fireTime = interval.next().toDate()
+        // 实际执行时间 = 触发时间 + 随机延迟
+        const plannedAt = new Date(fireTime.getTime() + computeJitterOffset(task.jitter, task._id, fireTime, slot))
+        const blackout = findBlackout(taskCalendars, plannedAt, task.timezone || DEFAULT_TIMEZONE)
+        if (!blackout) {
+          return plannedAt
+        }
+        if (blackout.calendar.mode === 'defer') {
+          const deferredUntil = resolveDeferredTime(taskCalendars, blackout.endsAt, task.timezone || DEFAULT_TIMEZONE)
+          if (deferredUntil) {
+            return deferredUntil
+          }
+        }
+      }
+    }
+    catch (error) {
+      console.error('[任务调度器] 计算下次执行时间失败:', error)
+    }
+
+    // 找不到允许执行的时间时，按不考虑日历的下次触发时间展示
+    return this.calculateNextRunTime(task.cronExpression, fromDate, task.timezone)
+  }
+
+  /**
+   * 计算任务本次触发的随机延迟
+   * @param {object} task - 任务
+   * @param {Date} fireTime - cron 触发时间
+   * @returns {Promise<number>} 延迟毫秒数
+   */
+  async getJitterOffset(task, fireTime) {
+    if (!task.jitter) {
+      return 0
+    }
+    const slot = await this.resolveSpreadSlot(task)
+    return computeJitterOffset(task.jitter, task._id, fireTime, slot)
+  }
+
+  /**
+   * spread 模式下，计算任务在同平台、同触发时间的任务中的位置
+   * 按任务ID排序，保证各实例计算出的位置一致
+   * @returns {Promise<{ index: number, count: number }>}
+   */
+  async resolveSpreadSlot(task) {
+    if (task.jitter?.mode !== 'spread') {
+      return { index: 0, count: 1 }
+    }
+
+    try {
+      const db = getDatabase()
+      const shop = await db.collection('shops').findOne({ _id: task.shopId }, { projection: { platform: 1 } })
+      if (!shop?.platform) {
+        return { index: 0, count: 1 }
+      }
+
+      const platformShopIds = await db.collection('shops').distinct('_id', { platform: shop.platform })
+      const timezone = task.timezone || DEFAULT_TIMEZONE
+      const peers = await db.collection('scheduled_tasks')
+        .find(
+          {
+            enabled: true,
+            shopId: { $in: platformShopIds },
+            cronExpression: task.cronExpression,
+            'jitter.mode': 'spread',
+            ...(timezone === DEFAULT_TIMEZONE
+              ? { timezone: { $in: [DEFAULT_TIMEZONE, null] } }
+              : { timezone }),
+          },
+          { projection: { _id: 1 } },
+        )
+        .sort({ _id: 1 })
+        .toArray()
+
+      const index = peers.findIndex(peer => peer._id.equals(task._id))
+      return index === -1
+        ? { index: peers.length, count: peers.length + 1 }
+        : { index, count: peers.length }
+    }
+    catch (error) {
+      console.error('[任务调度器] 计算错峰位置失败:', error)
+      return { index: 0, count: 1 }
+    }
+  }
+
+  /**
+   * 重新计算引用了指定日历的任务的下次执行时间（日历修改后调用）
+   * @param {ObjectId} calendarId - 日历ID
+   */
+  async refreshCalendarTasks(calendarId) {
+    try {
+      const db = getDatabase()
+      const tasksCollection = db.collection('scheduled_tasks')
+      const tasks = await tasksCollection.find({ enabled: true, calendarIds: calendarId }).toArray()
+
+      for (const task of tasks) {
+        const nextRunAt = await this.updateNextRunTime(task)
+        websocketService.broadcastTaskStatusUpdate({
+          taskId: task._id.toString(),
+          status: task.status || 'pending',
+          nextRunAt,
+        })
+      }
+    }
+    catch (error) {
+      console.error('[任务调度器] 更新日历关联任务失败:', error)
+    }
+  }
+
+  /**
+   * 模板修改后重新调度关联的任务（任务字段已由调用方按模板更新）
+   * @param {ObjectId} templateId - 模板ID
+   */
+  async refreshTemplateTasks(templateId) {
+    try {
+      const db = getDatabase()
+      const tasks = await db.collection('scheduled_tasks')
+        .find({ templateId }, { projection: { status: 1, enabled: 1, cronExpression: 1, timezone: 1, updatedAt: 1 } })
+        .toArray()
+
+      for (const task of tasks) {
+        await this.syncTask(task._id.toString())
+        websocketService.broadcastTaskStatusUpdate({
+          taskId: task._id.toString(),
+          status: task.status || 'pending',
+          enabled: task.enabled,
+          cronExpression: task.cronExpression,
+          timezone: task.timezone || DEFAULT_TIMEZONE,
+          updatedAt: task.updatedAt,
+        })
+      }
+
+      console.log(`[任务调度器] 模板 ${templateId} 已更新，重新调度 ${tasks.length} 个关联任务`)
+    }
+    catch (error) {
+      console.error('[任务调度器] 更新模板关联任务失败:', error)
+    }
+  }
+
+  // 计算本次触发对应的计划时间，作为各实例共同的触发标识
+  // node-cron 传入的 matchedAt 就是匹配到的 cron 触发时刻，各实例一致；没有时取不晚于当前时间（含容忍范围）的最近一次触发时间
+  resolveFireTime(task, matchedAt = null) {
+    if (matchedAt instanceof Date && !Number.isNaN(matchedAt.getTime())) {
+      return matchedAt
+    }
+
+    const now = new Date()
+    try {
+      const options = { tz: task.timezone || DEFAULT_TIMEZONE, currentDate: now }
+      const upcoming = CronExpressionParser.parse(task.cronExpression, options)
+      const gapMs = upcoming.next().getTime() - upcoming.prev().getTime()
+      const toleranceMs = Math.min(FIRE_TIME_TOLERANCE_MS, Math.floor(gapMs / 2))
+
+      const interval = CronExpressionParser.parse(task.cronExpression, {
+        ...options,
+        currentDate: new Date(now.getTime() + toleranceMs),
+      })
+      return interval.prev().toDate()
+    }
+    catch (error) {
+      // 无法计算时按秒取整，同一时刻触发的实例仍能得到相同的标识
+      return new Date(Math.floor(now.getTime() / 1000) * 1000)
+    }
+  }
+
+  /**
+   * 获取触发锁
+   * 依赖 task_fire_locks 上 { taskId, fireTime } 的唯一索引，插入成功的实例获得本次触发的执行权
+   * @param {ObjectId} taskId - 任务ID
+   * @param {Date} fireTime - 计划触发时间
+   * @returns {Promise<boolean>} 是否获得执行权
+   */
+  async acquireFireLock(taskId, fireTime) {
+    try {
+      const db = getDatabase()
+      await db.collection(FIRE_LOCK_COLLECTION).insertOne({
+        taskId,
+        fireTime,
+        owner: jobQueue.ownerId,
+        createdAt: new Date(),
+      })
+      return true
+    }
+    catch (error) {
+      if (error.code === 11000) {
+        return false
+      }
+      throw error
+    }
   }
 
   // 更新下次执行时间
@@ -96,12 +742,12 @@ class TaskScheduler {
       const db = getDatabase()
       const tasksCollection = db.collection('scheduled_tasks')
 
-      // 使用 cron-parser 计算下次执行时间
-      const nextRunAt = this.calculateNextRunTime(task.cronExpression, fromDate)
+      // 使用 cron-parser 计算下次执行时间，并跳过日历中禁止执行的时段
+      const { nextRunAt, nextFireAt } = await this.calculateTaskNextSchedule(task, fromDate)
 
       await tasksCollection.updateOne(
         { _id: task._id },
-        { $set: { nextRunAt, updatedAt: new Date() } },
+        { $set: { nextRunAt, nextFireAt, updatedAt: new Date() } },
       )
       
       return nextRunAt
@@ -112,12 +758,12 @@ class TaskScheduler {
     }
   }
 
-  // 计算下次执行时间
-  calculateNextRunTime(cronExpression, fromDate = null) {
+  // 计算下次执行时间（按任务时区解析 cron 表达式）
+  calculateNextRunTime(cronExpression, fromDate = null, timezone = null) {
     try {
       // 使用 cron-parser 精确计算下次执行时间
       const interval = CronExpressionParser.parse(cronExpression, {
-        tz: 'Asia/Shanghai',
+        tz: timezone || DEFAULT_TIMEZONE,
         currentDate: fromDate || new Date(),
       })
       return interval.next().toDate()
@@ -129,16 +775,76 @@ class TaskScheduler {
     }
   }
 
+  // 预览 cron 表达式接下来的执行时间，并给出频率相关的提示
+  previewSchedule(cronExpression, { timezone = null, count = 5, fromDate = null } = {}) {
+    const nextRunTimes = []
+    const warnings = []
+
+    let interval
+    try {
+      interval = CronExpressionParser.parse(cronExpression, {
+        tz: timezone || DEFAULT_TIMEZONE,
+        currentDate: fromDate || new Date(),
+      })
+      for (let i = 0; i < count && interval.hasNext(); i++) {
+        nextRunTimes.push(interval.next().toDate())
+      }
+    }
+    catch (error) {
+      // node-cron 认为有效但 cron-parser 无法计算出执行时间，如 2 月 30 日
+      warnings.push({ code: 'never_fires', message: `该表达式永远不会触发: ${error.message}` })
+      return { nextRunTimes, warnings }
+    }
+
+    if (nextRunTimes.length === 0) {
+      warnings.push({ code: 'never_fires', message: '该表达式永远不会触发' })
+      return { nextRunTimes, warnings }
+    }
+
+    const { fields } = interval
+    const parts = cronExpression.trim().split(/\s+/)
+
+    // 6 位表达式且秒字段不是固定值时，每分钟会触发多次
+    if (parts.length === 6 && fields.second.values.length > 1) {
+      warnings.push({ code: 'sub_minute', message: '触发频率高于每分钟一次，可能对平台造成压力' })
+    }
+
+    // 日期和星期同时指定时，两者满足其一即触发
+    if (!fields.dayOfMonth.isWildcard && !fields.dayOfWeek.isWildcard) {
+      warnings.push({ code: 'day_or_weekday', message: '同时指定了日期和星期，满足任一条件都会触发' })
+    }
+
+    if (nextRunTimes.length > 1) {
+      const gaps = nextRunTimes.slice(1).map((time, index) => time - nextRunTimes[index])
+      const minGap = Math.min(...gaps)
+      const maxGap = Math.max(...gaps)
+
+      if (minGap >= 60 * 1000 && minGap < 5 * 60 * 1000) {
+        warnings.push({ code: 'high_frequency', message: `最短触发间隔为 ${Math.round(minGap / 1000)} 秒，频率较高` })
+      }
+      if (maxGap > 31 * 24 * 60 * 60 * 1000) {
+        warnings.push({ code: 'low_frequency', message: `最长触发间隔超过 31 天（约 ${Math.round(maxGap / 86400000)} 天）` })
+      }
+    }
+
+    if (nextRunTimes.length < count) {
+      warnings.push({ code: 'limited_runs', message: `未来只会触发 ${nextRunTimes.length} 次` })
+    }
+
+    return { nextRunTimes, warnings }
+  }
+
   // 移除任务
   removeTask(taskId) {
     if (this.jobs.has(taskId)) {
       this.jobs.get(taskId).destroy()
       this.jobs.delete(taskId)
+      this.signatures.delete(taskId)
       console.log(`[任务调度器] 任务已移除: ${taskId}`)
     }
   }
 
-  // 立即执行任务
+  // 立即执行任务，写入队列后返回 { executionId }
   async executeTaskNow(taskId) {
     try {
       const db = getDatabase()
@@ -150,7 +856,7 @@ class TaskScheduler {
       }
 
       console.log(`[任务调度器] 立即执行任务: ${taskId}`)
-      await executeTask(task)
+      return await enqueueExecution(task, { trigger: 'manual' })
     }
     catch (error) {
       console.error(`[任务调度器] 立即执行任务失败 (${taskId}):`, error)
@@ -1,5 +1,19 @@
 import { WebSocketServer } from 'ws'
+import { ObjectId } from 'mongodb'
 import { verifyToken } from '../middleware/auth.js'
+import { getDatabase } from '../config/database.js'
+
+// 默认心跳间隔：每个间隔发送一次 ping，连续一个间隔未收到 pong 的连接会被断开
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 30 * 1000
+
+// 订阅频道：all 表示当前用户有权查看的全部任务，其余按任务、店铺、公司主体或执行划分
+const CHANNEL_PATTERN = /^(task|shop|company|execution):([0-9a-f]{24})$/i
+
+// 任务所属店铺、公司主体的缓存时间
+const TASK_ROUTE_CACHE_TTL_MS = 5 * 60 * 1000
+
+// 连接角色：worker 为自动化执行端，viewer 为查看任务状态的控制台
+const CLIENT_ROLES = ['worker', 'viewer']
 
 /**
  * WebSocket 服务
@@ -9,6 +23,10 @@ class WebSocketService {
   constructor() {
     this.wss = null
     this.clients = new Set() // 存储所有连接的客户端
+    this.workers = new Map() // 已注册的执行端 { workerId: worker }
+    this.heartbeatTimer = null
+    this.heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS
+    this.taskRoutes = new Map() // 任务所属店铺、公司主体缓存 { taskId: { shopId, companyId, expiresAt } }
   }
 
   /**
@@ -17,6 +35,7 @@ class WebSocketService {
    * @param {import('http').Server} [options.server] - 已存在的 HTTP server
    * @param {string} [options.path='/ws'] - 当复用 HTTP server 时监听路径
    * @param {number} [options.port=3000] - 独立监听端口
+   * @param {number} [options.heartbeatIntervalMs=30000] - 心跳间隔
    */
   start(options = {}) {
     if (this.wss) {
@@ -34,6 +53,7 @@ class WebSocketService {
       server = options.server ?? null
       path = options.path ?? path
       port = options.port ?? port
+      this.heartbeatIntervalMs = options.heartbeatIntervalMs ?? this.heartbeatIntervalMs
     }
 
     this.wss = server
@@ -42,6 +62,7 @@ class WebSocketService {
 
     this.wss.on('connection', (ws, req) => {
       const clientId = `${req.socket.remoteAddress}:${req.socket.remotePort}`
+      ws.clientId = clientId
 
       const token = this.extractTokenFromRequest(req)
       if (!token) {
@@ -60,15 +81,37 @@ class WebSocketService {
         return
       }
 
-      console.log(`[WebSocketService] 客户端连接: ${clientId}`, ws.user)
+      // 连接角色，未指定时由首条消息决定（client:ready 为执行端，subscribe 为控制台）
+      const role = this.extractRoleFromRequest(req)
+      ws.role = CLIENT_ROLES.includes(role) ? role : null
+      ws.subscriptions = new Set()
+
+      // 加载用户可查看的公司主体范围，用于订阅和推送时的权限校验
+      ws.scope = null
+      ws.scopeReady = this.loadUserScope(ws.user)
+        .then((scope) => {
+          ws.scope = scope
+          return scope
+        })
+
+      console.log(`[WebSocketService] 客户端连接: ${clientId}`, ws.user, ws.role)
 
       this.clients.add(ws)
 
+      // 心跳：收到 pong 说明连接仍然可用
+      ws.isAlive = true
+      ws.lastPongAt = new Date()
+      ws.on('pong', () => {
+        ws.isAlive = true
+        ws.lastPongAt = new Date()
+      })
+
       // 发送欢迎消息
       ws.send(JSON.stringify({
         type: 'server:connected',
         data: {
           message: 'WebSocket 连接成功',
+          role: ws.role,
           timestamp: new Date().toISOString(),
         },
       }))
@@ -88,15 +131,19 @@ class WebSocketService {
       ws.on('close', () => {
         console.log(`[WebSocketService] 客户端断开连接: ${clientId}`)
         this.clients.delete(ws)
+        this.handleWorkerLost(ws, 'disconnected')
       })
 
       // 处理错误
       ws.on('error', (error) => {
         console.error(`[WebSocketService] 客户端错误 (${clientId}):`, error)
         this.clients.delete(ws)
+        this.handleWorkerLost(ws, 'error')
       })
     })
 
+    this.startHeartbeat()
+
     this.wss.on('listening', () => {
       if (server) {
         console.log(`[WebSocketService] WebSocket 服务已绑定到 HTTP Server，路径: ${path}`)
@@ -110,6 +157,68 @@ class WebSocketService {
     })
   }
 
+  /**
+   * 启动心跳检测
+   * 上一轮 ping 后没有回 pong 的连接视为半开连接，直接断开并注销执行端
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer || !this.heartbeatIntervalMs) {
+      return
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          console.warn(`[WebSocketService] 客户端心跳超时，断开连接: ${ws.clientId}`)
+          this.clients.delete(ws)
+          this.handleWorkerLost(ws, 'heartbeat_timeout')
+          ws.terminate()
+          return
+        }
+
+        ws.isAlive = false
+        try {
+          ws.ping()
+        }
+        catch (error) {
+          console.error(`[WebSocketService] 发送心跳失败 (${ws.clientId}):`, error)
+        }
+      })
+    }, this.heartbeatIntervalMs)
+  }
+
+  /**
+   * 停止心跳检测
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer)
+      this.heartbeatTimer = null
+    }
+  }
+
+  /**
+   * 处理执行端丢失（断开连接或心跳超时）
+   * 注销执行端，并将其正在执行的任务交给执行器做故障转移
+   * @param {WebSocket} ws - 客户端连接
+   * @param {string} reason - 丢失原因: 'disconnected' | 'error' | 'heartbeat_timeout'
+   */
+  handleWorkerLost(ws, reason) {
+    const worker = this.unregisterWorker(ws)
+    if (!worker || worker.inFlight.size === 0) {
+      return
+    }
+
+    const executionIds = [...worker.inFlight]
+    worker.inFlight.clear()
+    console.warn(`[WebSocketService] 执行端 ${worker.id} 丢失 (${reason})，未完成任务: ${executionIds.join(', ')}`)
+
+    if (this.onWorkerLostCallback) {
+      Promise.resolve(this.onWorkerLostCallback(worker.id, executionIds, reason))
+        .catch(error => console.error('[WebSocketService] 处理执行端丢失失败:', error))
+    }
+  }
+
   extractTokenFromRequest(req) {
     try {
       const url = new URL(req.url, 'http://localhost')
@@ -121,6 +230,148 @@ class WebSocketService {
     }
   }
 
+  extractRoleFromRequest(req) {
+    try {
+      const url = new URL(req.url, 'http://localhost')
+      return url.searchParams.get('role')
+    }
+    catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * 加载用户的权限范围
+   * - users.isAdmin: 管理员标记，只有管理员可以修改并发限制、执行记录保留策略和其他用户的权限范围，
+   *   并可查看全部公司主体
+   * - users.companyIds: 非管理员可查看的公司主体；未配置或为空时不能查看任何公司主体
+   * 两个字段由管理员通过 PUT /api/user/:id/scope 维护，第一个管理员需直接在数据库中设置 isAdmin
+   * @param {object} user - token 中的用户信息
+   * @returns {Promise<object>} { admin: boolean, all: boolean, companyIds: Set<string> }
+   */
+  async loadUserScope(user) {
+    const noAccess = { admin: false, all: false, companyIds: new Set() }
+    try {
+      if (!user?.userId || !ObjectId.isValid(user.userId)) {
+        return noAccess
+      }
+
+      const dbUser = await getDatabase().collection('users').findOne(
+        { _id: new ObjectId(user.userId) },
+        { projection: { isAdmin: 1, companyIds: 1 } },
+      )
+      if (!dbUser) {
+        return noAccess
+      }
+      if (dbUser.isAdmin === true) {
+        return { admin: true, all: true, companyIds: new Set() }
+      }
+      const companyIds = Array.isArray(dbUser.companyIds) ? dbUser.companyIds : []
+      return { admin: false, all: false, companyIds: new Set(companyIds.map(id => id.toString())) }
+    }
+    catch (error) {
+      console.error('[WebSocketService] 加载用户权限范围失败:', error)
+      return noAccess
+    }
+  }
+
+  /**
+   * 判断权限范围是否包含指定公司主体
+   */
+  canAccessCompany(scope, companyId) {
+    if (!scope) {
+      return false
+    }
+    return scope.all || (companyId ? scope.companyIds.has(companyId) : false)
+  }
+
+  /**
+   * 获取任务所属的店铺和公司主体（带缓存）
+   * @returns {Promise<object|null>} { shopId, companyId }
+   */
+  async resolveTaskRoute(taskId) {
+    if (!taskId || !ObjectId.isValid(taskId)) {
+      return null
+    }
+
+    const key = taskId.toString()
+    const cached = this.taskRoutes.get(key)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached
+    }
+
+    const db = getDatabase()
+    const task = await db.collection('scheduled_tasks').findOne(
+      { _id: new ObjectId(key) },
+      { projection: { shopId: 1 } },
+    )
+    if (!task) {
+      this.taskRoutes.delete(key)
+      return null
+    }
+
+    const shop = await db.collection('shops').findOne(
+      { _id: task.shopId },
+      { projection: { companyId: 1 } },
+    )
+    const route = {
+      shopId: task.shopId.toString(),
+      companyId: shop?.companyId?.toString() || null,
+      expiresAt: Date.now() + TASK_ROUTE_CACHE_TTL_MS,
+    }
+    this.taskRoutes.set(key, route)
+    return route
+  }
+
+  /**
+   * 清除任务路由缓存（任务更换店铺或被删除时调用）
+   */
+  invalidateTaskRoute(taskId) {
+    this.taskRoutes.delete(taskId.toString())
+  }
+
+  /**
+   * 获取频道所属的公司主体
+   * @returns {Promise<string|null|undefined>} 公司主体ID；频道对象不存在时返回 undefined
+   */
+  async resolveChannelCompany(channel) {
+    const [, kind, id] = channel.match(CHANNEL_PATTERN)
+    const db = getDatabase()
+
+    switch (kind) {
+      case 'company':
+        return id
+
+      case 'shop': {
+        const shop = await db.collection('shops').findOne(
+          { _id: new ObjectId(id) },
+          { projection: { companyId: 1 } },
+        )
+        return shop ? (shop.companyId?.toString() || null) : undefined
+      }
+
+      case 'task': {
+        const route = await this.resolveTaskRoute(id)
+        return route ? route.companyId : undefined
+      }
+
+      case 'execution': {
+        const execution = await db.collection('task_executions').findOne(
+          { _id: new ObjectId(id) },
+          { projection: { taskId: 1 } },
+        )
+        if (!execution) {
+          return undefined
+        }
+        const route = await this.resolveTaskRoute(execution.taskId)
+        return route ? route.companyId : undefined
+      }
+
+      default:
+        return undefined
+    }
+  }
+
   /**
    * 处理客户端消息
    */
@@ -130,6 +381,41 @@ class WebSocketService {
     switch (type) {
       case 'client:ready':
         console.log('[WebSocketService] 客户端就绪:', data)
+        if (ws.role === 'viewer') {
+          this.sendTo(ws, {
+            type: 'server:error',
+            data: { message: '控制台连接不能注册为执行端' },
+          })
+          break
+        }
+        ws.role = 'worker'
+        ws.subscriptions.clear()
+        this.registerWorker(ws, data)
+        break
+
+      case 'task:log':
+        // 执行端上报的执行日志
+        if (this.onTaskLogCallback) {
+          Promise.resolve(this.onTaskLogCallback(data, { workerId: ws.workerId || null }))
+            .catch(error => console.error('[WebSocketService] 处理任务日志失败:', error))
+        }
+        break
+
+      case 'task:progress':
+        // 执行端上报的执行进度
+        if (this.onTaskProgressCallback) {
+          Promise.resolve(this.onTaskProgressCallback(data, { workerId: ws.workerId || null }))
+            .catch(error => console.error('[WebSocketService] 处理任务进度失败:', error))
+        }
+        break
+
+      case 'subscribe':
+        this.subscribe(ws, data?.channel)
+          .catch(error => console.error('[WebSocketService] 订阅失败:', error))
+        break
+
+      case 'unsubscribe':
+        this.unsubscribe(ws, data?.channel)
         break
 
       case 'task:result':
@@ -138,9 +424,23 @@ class WebSocketService {
         if (this.onTaskResult) {
           this.onTaskResult(data)
         }
-        // 同时触发任务执行器的结果处理
+        // 同时触发任务执行器的结果处理，并将处理结果回执给客户端
         if (this.onTaskResultCallback) {
-          this.onTaskResultCallback(data)
+          Promise.resolve(this.onTaskResultCallback(data, { workerId: ws.workerId || null }))
+            .then((ack) => {
+              this.sendTo(ws, {
+                type: 'task:result-ack',
+                data: {
+                  taskId: data?.taskId || null,
+                  executionId: data?.executionId || null,
+                  accepted: ack?.accepted ?? true,
+                  duplicate: ack?.duplicate || false,
+                  reason: ack?.reason || null,
+                  timestamp: new Date().toISOString(),
+                },
+              })
+            })
+            .catch(error => console.error('[WebSocketService] 处理任务结果失败:', error))
         }
         break
 
@@ -149,6 +449,264 @@ class WebSocketService {
     }
   }
 
+  /**
+   * 注册执行端
+   * @param {WebSocket} ws - 客户端连接
+   * @param {object} [data] - client:ready 消息内容
+   * @param {string} [data.workerId] - 执行端ID，未提供时使用连接地址
+   * @param {string[]} [data.platforms] - 支持的平台，为空表示支持所有平台
+   * @param {number} [data.capacity=1] - 可同时执行的任务数
+   */
+  registerWorker(ws, data = {}) {
+    const workerId = String(data?.workerId || ws.clientId)
+    const platforms = Array.isArray(data?.platforms) ? data.platforms.filter(Boolean) : []
+    const capacity = Math.max(parseInt(data?.capacity, 10) || 1, 1)
+
+    // 同一连接更换 workerId 时，先移除旧的注册信息
+    if (ws.workerId && ws.workerId !== workerId) {
+      this.unregisterWorker(ws)
+    }
+
+    // 相同 workerId 重连时沿用正在执行的任务，避免负载统计丢失
+    const existing = this.workers.get(workerId)
+    if (existing && existing.ws !== ws) {
+      console.warn(`[WebSocketService] 执行端 ${workerId} 重复注册，旧连接将被替换`)
+      existing.ws.workerId = null
+    }
+
+    ws.workerId = workerId
+    this.workers.set(workerId, {
+      id: workerId,
+      ws,
+      user: ws.user,
+      platforms,
+      capacity,
+      inFlight: existing?.inFlight || new Set(),
+      registeredAt: new Date(),
+      lastAssignedAt: existing?.lastAssignedAt || null,
+    })
+
+    console.log(`[WebSocketService] 执行端已注册: ${workerId}`, { platforms, capacity })
+
+    this.sendTo(ws, {
+      type: 'server:worker-registered',
+      data: {
+        workerId,
+        platforms,
+        capacity,
+        timestamp: new Date().toISOString(),
+      },
+    })
+  }
+
+  /**
+   * 注销执行端（连接断开时调用）
+   * @returns {object|null} 被注销的执行端
+   */
+  unregisterWorker(ws) {
+    const workerId = ws.workerId
+    if (!workerId) {
+      return null
+    }
+
+    ws.workerId = null
+    const worker = this.workers.get(workerId)
+    if (worker && worker.ws === ws) {
+      this.workers.delete(workerId)
+      console.log(`[WebSocketService] 执行端已注销: ${workerId}，未完成任务数: ${worker.inFlight.size}`)
+      return worker
+    }
+    return null
+  }
+
+  /**
+   * 选择一个可执行任务的执行端
+   * 只考虑支持该平台且仍有空闲容量的执行端，优先负载率最低的，负载相同时优先最久未分配的
+   * @param {string} [platform] - 店铺平台
+   * @returns {object|null} 执行端信息
+   */
+  selectWorker(platform) {
+    let selected = null
+
+    this.workers.forEach((worker) => {
+      if (worker.ws.readyState !== 1) { // WebSocket.OPEN
+        return
+      }
+      if (worker.inFlight.size >= worker.capacity) {
+        return
+      }
+      if (platform && worker.platforms.length > 0 && !worker.platforms.includes(platform)) {
+        return
+      }
+
+      if (!selected) {
+        selected = worker
+        return
+      }
+
+      const load = worker.inFlight.size / worker.capacity
+      const selectedLoad = selected.inFlight.size / selected.capacity
+      const lastAssigned = worker.lastAssignedAt?.getTime() || 0
+      const selectedLastAssigned = selected.lastAssignedAt?.getTime() || 0
+      if (load < selectedLoad || (load === selectedLoad && lastAssigned < selectedLastAssigned)) {
+        selected = worker
+      }
+    })
+
+    return selected
+  }
+
+  /**
+   * 获取仍有空闲容量的执行端
+   * @returns {Array<{ id: string, platforms: string[], free: number }>}
+   */
+  getAvailableWorkers() {
+    return [...this.workers.values()]
+      .filter(worker => worker.ws.readyState === 1 && worker.inFlight.size < worker.capacity)
+      .map(worker => ({ id: worker.id, platforms: worker.platforms, free: worker.capacity - worker.inFlight.size }))
+  }
+
+  /**
+   * 记录执行端正在执行的任务
+   */
+  assignExecution(workerId, executionId) {
+    const worker = this.workers.get(workerId)
+    if (worker) {
+      worker.inFlight.add(executionId)
+      worker.lastAssignedAt = new Date()
+    }
+  }
+
+  /**
+   * 释放执行端正在执行的任务
+   */
+  releaseExecution(workerId, executionId) {
+    const worker = this.workers.get(workerId)
+    if (worker) {
+      worker.inFlight.delete(executionId)
+    }
+  }
+
+  /**
+   * 获取已注册执行端数量
+   */
+  getWorkerCount() {
+    return this.workers.size
+  }
+
+  /**
+   * 获取执行端列表（不包含连接对象）
+   */
+  getWorkers() {
+    return [...this.workers.values()].map(worker => ({
+      id: worker.id,
+      username: worker.user?.username || null,
+      platforms: worker.platforms,
+      capacity: worker.capacity,
+      inFlight: [...worker.inFlight],
+      registeredAt: worker.registeredAt,
+      lastAssignedAt: worker.lastAssignedAt,
+      lastPongAt: worker.ws.lastPongAt || null,
+    }))
+  }
+
+  /**
+   * 订阅频道
+   * 支持 all、task:<taskId>、shop:<shopId>、company:<companyId>、execution:<executionId>，
+   * 只能订阅用户权限范围内的公司主体相关频道，执行端连接不能订阅
+   */
+  async subscribe(ws, channel) {
+    const fail = (message) => {
+      this.sendTo(ws, {
+        type: 'subscribe:error',
+        data: { channel: channel || null, message },
+      })
+    }
+
+    if (ws.role === 'worker') {
+      return fail('执行端连接不能订阅频道')
+    }
+    if (!this.isValidChannel(channel)) {
+      return fail('无效的订阅频道')
+    }
+
+    const scope = await ws.scopeReady
+    if (channel !== 'all') {
+      const companyId = await this.resolveChannelCompany(channel)
+      if (companyId === undefined) {
+        return fail('订阅的对象不存在')
+      }
+      if (!this.canAccessCompany(scope, companyId)) {
+        return fail('无权订阅该频道')
+      }
+    }
+
+    ws.role = 'viewer'
+    ws.subscriptions.add(channel)
+
+    this.sendTo(ws, {
+      type: 'subscribe:ok',
+      data: { channel },
+    })
+  }
+
+  /**
+   * 取消订阅频道
+   */
+  unsubscribe(ws, channel) {
+    ws.subscriptions?.delete(channel)
+
+    this.sendTo(ws, {
+      type: 'unsubscribe:ok',
+      data: { channel: channel || null },
+    })
+  }
+
+  /**
+   * 校验订阅频道格式
+   */
+  isValidChannel(channel) {
+    return channel === 'all' || (typeof channel === 'string' && CHANNEL_PATTERN.test(channel))
+  }
+
+  /**
+   * 发布消息到订阅了指定频道的客户端
+   * @returns {number} 发送成功的客户端数量
+   */
+  publish(channel, message) {
+    const data = typeof message === 'string' ? message : JSON.stringify(message)
+    let count = 0
+
+    this.clients.forEach((client) => {
+      if (client.subscriptions?.has(channel) && this.sendTo(client, data)) {
+        count++
+      }
+    })
+
+    return count
+  }
+
+  /**
+   * 设置执行端丢失回调（用于任务执行器故障转移）
+   */
+  setWorkerLostCallback(callback) {
+    this.onWorkerLostCallback = callback
+  }
+
+  /**
+   * 设置任务日志回调（用于任务执行器）
+   */
+  setTaskLogCallback(callback) {
+    this.onTaskLogCallback = callback
+  }
+
+  /**
+   * 设置任务进度回调（用于任务执行器）
+   */
+  setTaskProgressCallback(callback) {
+    this.onTaskProgressCallback = callback
+  }
+
   /**
    * 设置任务结果回调（用于任务执行器）
    */
@@ -156,6 +714,25 @@ class WebSocketService {
     this.onTaskResultCallback = callback
   }
 
+  /**
+   * 发送消息到指定客户端
+   * @returns {boolean} 是否发送成功
+   */
+  sendTo(ws, message) {
+    if (!ws || ws.readyState !== 1) { // WebSocket.OPEN
+      return false
+    }
+
+    try {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message))
+      return true
+    }
+    catch (error) {
+      console.error('[WebSocketService] 发送消息失败:', error)
+      return false
+    }
+  }
+
   /**
    * 广播消息到所有客户端
    */
@@ -179,36 +756,102 @@ class WebSocketService {
   }
 
   /**
-   * 发送任务执行请求
+   * 发送任务执行请求到指定执行端
+   * @param {string} workerId - 执行端ID
+   * @param {string} taskId - 任务ID
+   * @param {string} executionId - 执行记录ID，客户端回传 task:result 时需携带
+   * @returns {boolean} 是否发送成功
    */
-  sendTaskExecute(taskId, shopData, taskType) {
+  sendTaskExecute(workerId, taskId, executionId, shopData, taskType) {
+    const worker = this.workers.get(workerId)
+    if (!worker) {
+      return false
+    }
+
     const message = {
       type: 'task:execute',
       data: {
         taskId,
+        executionId,
         shopData,
         taskType,
+        workerId,
         timestamp: new Date().toISOString(),
       },
     }
 
-    return this.broadcast(message)
+    return this.sendTo(worker.ws, message)
   }
 
   /**
-   * 广播任务状态更新
-   * @param {object} taskUpdate - 任务更新信息 { taskId, status, ... }
+   * 通知执行端取消正在执行的任务
+   * @param {string} workerId - 执行端ID
+   * @param {object} cancel - 取消信息 { taskId, executionId, reason, message }
+   * @returns {boolean} 是否发送成功
    */
-  broadcastTaskStatusUpdate(taskUpdate) {
-    const message = {
+  sendTaskCancel(workerId, cancel) {
+    const worker = this.workers.get(workerId)
+    if (!worker) {
+      return false
+    }
+
+    return this.sendTo(worker.ws, {
+      type: 'task:cancel',
+      data: {
+        ...cancel,
+        timestamp: new Date().toISOString(),
+      },
+    })
+  }
+
+  /**
+   * 推送任务状态更新
+   * 只推送给订阅了相关频道（all、任务、店铺、公司主体、执行）且有权限查看该任务的控制台连接
+   * @param {object} taskUpdate - 任务更新信息 { taskId, status, executionId, ... }
+   * @returns {Promise<number>} 推送成功的客户端数量
+   */
+  async broadcastTaskStatusUpdate(taskUpdate) {
+    const message = JSON.stringify({
       type: 'task:status-update',
       data: {
         ...taskUpdate,
         timestamp: new Date().toISOString(),
       },
-    }
+    })
 
-    return this.broadcast(message)
+    try {
+      const route = await this.resolveTaskRoute(taskUpdate.taskId)
+      const companyId = route?.companyId || null
+      const channels = [
+        'all',
+        `task:${taskUpdate.taskId}`,
+        route && `shop:${route.shopId}`,
+        companyId && `company:${companyId}`,
+        taskUpdate.executionId && `execution:${taskUpdate.executionId}`,
+      ].filter(Boolean)
+
+      let count = 0
+      this.clients.forEach((client) => {
+        if (client.role === 'worker' || !client.subscriptions?.size) {
+          return
+        }
+        if (!channels.some(channel => client.subscriptions.has(channel))) {
+          return
+        }
+        if (!this.canAccessCompany(client.scope, companyId)) {
+          return
+        }
+        if (this.sendTo(client, message)) {
+          count++
+        }
+      })
+
+      return count
+    }
+    catch (error) {
+      console.error('[WebSocketService] 推送任务状态更新失败:', error)
+      return 0
+    }
   }
 
   /**
@@ -223,6 +866,8 @@ class WebSocketService {
    */
   stop() {
     if (this.wss) {
+      this.stopHeartbeat()
+
       // 关闭所有客户端连接
       this.clients.forEach((client) => {
         try {
@@ -233,6 +878,7 @@ class WebSocketService {
         }
       })
       this.clients.clear()
+      this.workers.clear()
 
       // 关闭服务器
       this.wss.close(() => {
@@ -0,0 +1,176 @@
+/**
+ * 任务日历（禁止执行时段）
+ * 日历由固定日期范围（如 618、双 11 大促）和每周重复的时间窗口（如平台维护时段）组成，
+ * 任务触发时间落在任一时段内即视为处于禁止执行时段
+ */
+
+// 落在禁止执行时段内的处理方式：skip 跳过本次触发，defer 推迟到时段结束后执行
+export const CALENDAR_MODES = ['skip', 'defer']
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+const MINUTES_PER_DAY = 24 * 60
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+// 查找推迟时间时最多跨越的连续时段数，防止时段首尾相接时无限查找
+const MAX_DEFER_HOPS = 50
+
+function parseTime(time) {
+  const [, hour, minute] = TIME_PATTERN.exec(time)
+  return Number(hour) * 60 + Number(minute)
+}
+
+// 获取指定时区下的星期和当天分钟数
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]))
+  return {
+    weekday: WEEKDAYS[values.weekday],
+    minutes: Number(values.hour) * 60 + Number(values.minute),
+  }
+}
+
+/**
+ * 校验日历的禁止执行时段
+ * @param {object} calendar - { mode, ranges, weeklyWindows }
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+export function validateCalendar({ mode, ranges, weeklyWindows }) {
+  if (mode !== undefined && !CALENDAR_MODES.includes(mode)) {
+    return `无效的处理方式，只支持: ${CALENDAR_MODES.join(', ')}`
+  }
+
+  if (ranges !== undefined) {
+    if (!Array.isArray(ranges)) {
+      return '日期范围必须是数组'
+    }
+    for (const range of ranges) {
+      const start = new Date(range?.start)
+      const end = new Date(range?.end)
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        return '日期范围的开始和结束时间格式无效'
+      }
+      if (start >= end) {
+        return '日期范围的开始时间必须早于结束时间'
+      }
+    }
+  }
+
+  if (weeklyWindows !== undefined) {
+    if (!Array.isArray(weeklyWindows)) {
+      return '每周时间窗口必须是数组'
+    }
+    for (const window of weeklyWindows) {
+      if (!Array.isArray(window?.days) || window.days.length === 0
+        || !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return '每周时间窗口的星期必须是 0（周日）到 6（周六）之间的整数数组'
+      }
+      if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+        return '每周时间窗口的时间格式必须为 HH:mm'
+      }
+      if (window.start === window.end) {
+        return '每周时间窗口的开始和结束时间不能相同'
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * 规范化日期范围，统一转换为 Date
+ */
+export function normalizeRanges(ranges = []) {
+  return ranges.map(range => ({
+    start: new Date(range.start),
+    end: new Date(range.end),
+    reason: range.reason || null,
+  }))
+}
+
+/**
+ * 查找时间点所在的禁止执行时段
+ * @param {object} calendar - 日历
+ * @param {Date} date - 时间点
+ * @param {string} defaultTimezone - 日历未配置时区时使用的时区
+ * @returns {{ reason: string|null, endsAt: Date }|null} 所在时段及其结束时间，不在任何时段内返回 null
+ */
+function findCalendarBlackout(calendar, date, defaultTimezone) {
+  for (const range of calendar.ranges || []) {
+    if (date >= range.start && date < range.end) {
+      return { reason: range.reason || null, endsAt: new Date(range.end) }
+    }
+  }
+
+  if (!calendar.weeklyWindows?.length) {
+    return null
+  }
+
+  const { weekday, minutes } = getLocalTime(date, calendar.timezone || defaultTimezone)
+  const previousWeekday = (weekday + 6) % 7
+
+  for (const window of calendar.weeklyWindows) {
+    const start = parseTime(window.start)
+    const end = parseTime(window.end)
+
+    let remaining = null
+    if (start < end) {
+      if (window.days.includes(weekday) && minutes >= start && minutes < end) {
+        remaining = end - minutes
+      }
+    }
+    // 跨午夜的时间窗口（如 23:00-02:00），days 表示窗口开始的那一天
+    else if (window.days.includes(weekday) && minutes >= start) {
+      remaining = MINUTES_PER_DAY - minutes + end
+    }
+    else if (window.days.includes(previousWeekday) && minutes < end) {
+      remaining = end - minutes
+    }
+
+    if (remaining !== null) {
+      // 结束时间按分钟对齐
+      const minuteStart = Math.floor(date.getTime() / 60000) * 60000
+      return { reason: window.reason || null, endsAt: new Date(minuteStart + remaining * 60000) }
+    }
+  }
+
+  return null
+}
+
+/**
+ * 查找时间点命中的第一个禁止执行时段
+ * @param {object[]} calendars - 任务引用的日历
+ * @param {Date} date - 时间点
+ * @param {string} defaultTimezone - 日历未配置时区时使用的时区
+ * @returns {{ calendar: object, reason: string|null, endsAt: Date }|null}
+ */
+export function findBlackout(calendars, date, defaultTimezone) {
+  for (const calendar of calendars) {
+    const blackout = findCalendarBlackout(calendar, date, defaultTimezone)
+    if (blackout) {
+      return { calendar, ...blackout }
+    }
+  }
+  return null
+}
+
+/**
+ * 计算推迟执行的时间：跳过连续的禁止执行时段，返回第一个允许执行的时间
+ * @returns {Date|null} 允许执行的时间，超出查找范围时返回 null
+ */
+export function resolveDeferredTime(calendars, date, defaultTimezone) {
+  let candidate = date
+  for (let i = 0; i < MAX_DEFER_HOPS; i++) {
+    const blackout = findBlackout(calendars, candidate, defaultTimezone)
+    if (!blackout) {
+      return candidate
+    }
+    candidate = blackout.endsAt
+  }
+  return null
+}
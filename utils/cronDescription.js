@@ -0,0 +1,131 @@
+/**
+ * Cron 表达式的中文描述
+ * 覆盖常见写法（固定时间、步长、范围、列表），无法识别的字段按原样描述
+ */
+
+const WEEKDAY_NAMES = ['周日', '周一', '周二', '周三', '周四', '周五', '周六', '周日']
+
+const WEEKDAY_ALIASES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 }
+
+const MONTH_ALIASES = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+}
+
+function isNumber(field) {
+  return /^\d+$/.test(field)
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0')
+}
+
+// 将字段中的英文别名（mon、jan 等）替换为数字
+function normalizeAliases(field, aliases) {
+  return field.toLowerCase().replace(/[a-z]{3}/g, name => String(aliases[name] ?? name))
+}
+
+// 描述列表、范围、步长组成的字段，如 1-5、1,3,5、*/2
+function describeList(field, formatValue) {
+  return field.split(',').map((part) => {
+    const [range, step] = part.split('/')
+    const rangeText = range === '*'
+      ? ''
+      : range.includes('-')
+        ? range.split('-').map(formatValue).join('至')
+        : formatValue(range)
+    if (step) {
+      return `${rangeText ? `${rangeText}内` : ''}每隔${step}`
+    }
+    return rangeText
+  }).join('、')
+}
+
+function describeTime(second, minute, hour) {
+  const secondText = second === undefined || second === '0'
+    ? ''
+    : second === '*'
+      ? '每秒'
+      : second.startsWith('*/')
+        ? `每 ${second.slice(2)} 秒`
+        : isNumber(second) ? null : `第 ${second} 秒`
+
+  // 固定时间，如 09:30 或 09:30:15
+  if (isNumber(minute) && isNumber(hour) && (secondText === '' || secondText === null)) {
+    return `${pad(hour)}:${pad(minute)}${secondText === null ? `:${pad(second)}` : ''}`
+  }
+
+  let text
+  if (minute === '*' && hour === '*') {
+    if (secondText) {
+      return secondText
+    }
+    text = '每分钟'
+  }
+  else if (minute.startsWith('*/') && hour === '*') {
+    text = `每 ${minute.slice(2)} 分钟`
+  }
+  else if (isNumber(minute) && hour === '*') {
+    text = `每小时的第 ${minute} 分钟`
+  }
+  else if (isNumber(minute) && hour.startsWith('*/')) {
+    text = `每 ${hour.slice(2)} 小时的第 ${minute} 分钟`
+  }
+  else if (isNumber(minute)) {
+    text = `${describeList(hour, value => `${value}点`)}的第 ${minute} 分钟`
+  }
+  else if (minute.startsWith('*/')) {
+    text = `${hour === '*' ? '' : `${describeList(hour, value => `${value}点`)}内`}每 ${minute.slice(2)} 分钟`
+  }
+  else {
+    text = `${hour === '*' ? '每小时' : describeList(hour, value => `${value}点`)}的第 ${minute} 分钟`
+  }
+
+  if (secondText === null) {
+    return `${text}第 ${second} 秒`
+  }
+  return secondText ? `${text}${secondText}` : text
+}
+
+function describeDate(dayOfMonth, month, dayOfWeek) {
+  const weekday = normalizeAliases(dayOfWeek, WEEKDAY_ALIASES)
+  const monthText = month === '*'
+    ? ''
+    : `${describeList(normalizeAliases(month, MONTH_ALIASES), value => `${value}月`)}，`
+
+  const dayOfMonthText = dayOfMonth === '*' ? '' : `每月${describeList(dayOfMonth, value => `${value}日`)}`
+  const weekdayText = weekday === '*' ? '' : `每${describeList(weekday, value => WEEKDAY_NAMES[value] ?? value)}`
+
+  if (dayOfMonthText && weekdayText) {
+    return `${monthText}${dayOfMonthText}或${weekdayText}`
+  }
+  if (dayOfMonthText || weekdayText) {
+    return `${monthText}${dayOfMonthText || weekdayText}`
+  }
+  return monthText ? `${monthText}每天` : '每天'
+}
+
+/**
+ * 生成 cron 表达式的中文描述
+ * @param {string} cronExpression - 5 位或 6 位（含秒）cron 表达式
+ * @returns {string} 描述，如「每天 09:00」「每周一至周五 09:30」
+ */
+export function describeCron(cronExpression) {
+  const parts = String(cronExpression).trim().split(/\s+/)
+  if (parts.length !== 5 && parts.length !== 6) {
+    return cronExpression
+  }
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts.length === 6
+    ? parts
+    : [undefined, ...parts]
+
+  const dateText = describeDate(dayOfMonth, month, dayOfWeek)
+  const timeText = describeTime(second, minute, hour)
+
+  // 每天重复多次时省略「每天」，如「每 5 分钟」
+  if (dateText === '每天' && !/^\d/.test(timeText)) {
+    return timeText
+  }
+  return `${dateText} ${timeText}`
+}
@@ -0,0 +1,46 @@
+/**
+ * 执行记录的接口返回格式
+ * @param {object} exec - task_executions 中的执行记录
+ * @returns {object}
+ */
+export function formatExecution(exec) {
+  return {
+    id: exec._id.toString(),
+    taskId: exec.taskId.toString(),
+    taskType: exec.taskType || null,
+    shopId: exec.shopId?.toString(),
+    shopName: exec.shopName,
+    platform: exec.platform,
+    companyId: exec.companyId?.toString() || null,
+    workerId: exec.workerId || null,
+    trigger: exec.trigger || null,
+    scheduledFor: exec.scheduledFor || null,
+    skipReason: exec.skipReason || null,
+    deferredUntil: exec.deferredUntil || null,
+    deferReason: exec.deferReason || null,
+    calendarId: exec.calendarId?.toString() || null,
+    upstreamExecutionId: exec.upstreamExecutionId?.toString() || null,
+    upstreamTaskId: exec.upstreamTaskId?.toString() || null,
+    chainRootExecutionId: exec.chainRootExecutionId?.toString() || null,
+    chainDepth: exec.chainDepth || 0,
+    downstreamExecutionIds: (exec.downstreamExecutionIds || []).map(id => id.toString()),
+    attempt: exec.attempt || 1,
+    parentExecutionId: exec.parentExecutionId?.toString() || null,
+    nextAttemptExecutionId: exec.nextAttemptExecutionId?.toString() || null,
+    nextRetryAt: exec.nextRetryAt || null,
+    status: exec.status,
+    startedAt: exec.startedAt,
+    completedAt: exec.completedAt,
+    duration: exec.duration,
+    result: exec.result,
+    progress: exec.progress || null,
+    lastProgressAt: exec.lastProgressAt || null,
+    stalledAt: exec.stalledAt || null,
+    logs: exec.logs || [],
+    logCount: exec.logCount || (exec.logs || []).length,
+    error: exec.error,
+    errorClass: exec.errorClass || null,
+    cancelledAt: exec.cancelledAt || null,
+    cancelledBy: exec.cancelledBy || null,
+  }
+}
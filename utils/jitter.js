@@ -0,0 +1,64 @@
+/**
+ * 任务触发时间的随机延迟（jitter）
+ * 大量店铺使用相同的 cron 表达式时，同一时刻集中登录同一平台容易触发风控，
+ * 通过在触发时间后增加随机延迟把执行打散
+ */
+import crypto from 'crypto'
+
+// 延迟方式：random 在窗口内随机延迟，spread 同一平台、同一触发时间的任务在窗口内均匀错开
+export const JITTER_MODES = ['random', 'spread']
+
+export const MAX_JITTER_WINDOW_MS = 60 * 60 * 1000
+
+/**
+ * 校验延迟配置
+ * @param {object} jitter - { mode, windowMs }
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+export function validateJitter(jitter) {
+  if (jitter === null) {
+    return null
+  }
+  if (typeof jitter !== 'object' || Array.isArray(jitter)) {
+    return '随机延迟配置格式无效'
+  }
+  if (!JITTER_MODES.includes(jitter.mode)) {
+    return `无效的延迟方式，只支持: ${JITTER_MODES.join(', ')}`
+  }
+  if (!Number.isInteger(jitter.windowMs) || jitter.windowMs < 1000 || jitter.windowMs > MAX_JITTER_WINDOW_MS) {
+    return '随机延迟窗口必须在 1 秒到 1 小时之间（毫秒）'
+  }
+  return null
+}
+
+/**
+ * 由任务ID和触发时间得到 [0, 1) 之间的伪随机数
+ * 同一次触发在任意实例上得到相同的结果，预先计算的 nextRunAt 与实际执行时间一致
+ */
+function jitterFraction(taskId, fireTime) {
+  const hash = crypto.createHash('sha1').update(`${taskId}:${fireTime.getTime()}`).digest()
+  return hash.readUInt32BE(0) / 0x100000000
+}
+
+/**
+ * 计算触发时间的延迟
+ * @param {object} jitter - 任务的延迟配置 { mode, windowMs }
+ * @param {ObjectId|string} taskId - 任务ID
+ * @param {Date} fireTime - cron 触发时间
+ * @param {object} [slot] - spread 模式下任务在同平台同批任务中的位置 { index, count }
+ * @returns {number} 延迟毫秒数
+ */
+export function computeJitterOffset(jitter, taskId, fireTime, slot = { index: 0, count: 1 }) {
+  if (!jitter?.windowMs) {
+    return 0
+  }
+
+  const fraction = jitterFraction(taskId, fireTime)
+  if (jitter.mode !== 'spread') {
+    return Math.floor(fraction * jitter.windowMs)
+  }
+
+  // 窗口按任务数均分，每个任务在自己的时段内再随机延迟
+  const slotMs = jitter.windowMs / Math.max(slot.count, 1)
+  return Math.floor(slot.index * slotMs + fraction * slotMs)
+}
@@ -0,0 +1,105 @@
+/**
+ * 任务重试策略
+ */
+
+// 执行失败的错误分类
+export const ERROR_CLASSES = [
+  'no_worker', // 没有可用的客户端
+  'dispatch_failed', // 任务推送失败
+  'timeout', // 执行超时
+  'worker_lost', // 执行端断开连接或心跳超时
+  'client_error', // 客户端返回失败结果
+  'interrupted', // 服务重启等原因导致执行中断
+  'blocked', // 相同店铺、同类型任务正在执行
+  'internal', // 任务或店铺不存在等服务端错误
+]
+
+// 默认不重试，与未配置重试策略时的行为保持一致
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  baseDelayMs: 60 * 1000,
+  backoffFactor: 2,
+  maxDelayMs: 60 * 60 * 1000,
+  retryOn: ['no_worker', 'dispatch_failed', 'timeout', 'worker_lost', 'interrupted'],
+}
+
+const MAX_ATTEMPTS_LIMIT = 10
+const MIN_DELAY_MS = 1000
+const MAX_DELAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * 校验重试策略
+ * @param {object} retryPolicy - 重试策略
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+export function validateRetryPolicy(retryPolicy) {
+  if (retryPolicy === null) {
+    return null
+  }
+  if (typeof retryPolicy !== 'object' || Array.isArray(retryPolicy)) {
+    return '重试策略格式无效'
+  }
+
+  const { maxAttempts, baseDelayMs, backoffFactor, maxDelayMs, retryOn } = retryPolicy
+
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT)) {
+    return `最大尝试次数必须是 1 到 ${MAX_ATTEMPTS_LIMIT} 之间的整数`
+  }
+  if (baseDelayMs !== undefined && (!Number.isFinite(baseDelayMs) || baseDelayMs < MIN_DELAY_MS || baseDelayMs > MAX_DELAY_MS)) {
+    return '重试基础延迟必须在 1 秒到 24 小时之间'
+  }
+  if (backoffFactor !== undefined && (!Number.isFinite(backoffFactor) || backoffFactor < 1 || backoffFactor > 10)) {
+    return '退避系数必须在 1 到 10 之间'
+  }
+  if (maxDelayMs !== undefined && (!Number.isFinite(maxDelayMs) || maxDelayMs < MIN_DELAY_MS || maxDelayMs > MAX_DELAY_MS)) {
+    return '重试最大延迟必须在 1 秒到 24 小时之间'
+  }
+  // 未填写的一项按默认值比较，与 normalizeRetryPolicy 合并后的结果一致
+  const effective = normalizeRetryPolicy(retryPolicy)
+  if (effective.maxDelayMs < effective.baseDelayMs) {
+    return '重试最大延迟不能小于基础延迟'
+  }
+  if (retryOn !== undefined) {
+    if (!Array.isArray(retryOn)) {
+      return '可重试的错误类型必须是数组'
+    }
+    const invalid = retryOn.filter(errorClass => !ERROR_CLASSES.includes(errorClass))
+    if (invalid.length > 0) {
+      return `无效的错误类型: ${invalid.join(', ')}，只支持: ${ERROR_CLASSES.join(', ')}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * 合并默认值，得到完整的重试策略
+ * @param {object} [retryPolicy] - 任务上配置的重试策略
+ */
+export function normalizeRetryPolicy(retryPolicy) {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(retryPolicy || {}),
+  }
+}
+
+/**
+ * 判断执行失败后是否需要重试
+ * @param {object} retryPolicy - 完整的重试策略
+ * @param {number} attempt - 已执行的次数（从 1 开始）
+ * @param {string} errorClass - 错误分类
+ */
+export function shouldRetry(retryPolicy, attempt, errorClass) {
+  return attempt < retryPolicy.maxAttempts && retryPolicy.retryOn.includes(errorClass)
+}
+
+/**
+ * 计算下次重试的延迟（指数退避）
+ * @param {object} retryPolicy - 完整的重试策略
+ * @param {number} attempt - 已执行的次数（从 1 开始）
+ * @returns {number} 延迟毫秒数
+ */
+export function computeRetryDelay(retryPolicy, attempt) {
+  const delay = retryPolicy.baseDelayMs * Math.pow(retryPolicy.backoffFactor, attempt - 1)
+  return Math.min(delay, retryPolicy.maxDelayMs)
+}
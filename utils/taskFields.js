@@ -0,0 +1,125 @@
+/**
+ * 任务字段的校验（创建/修改任务、批量创建、任务模板共用）
+ */
+import { ObjectId } from 'mongodb'
+import cron from 'node-cron'
+import { getDatabase } from '../config/database.js'
+import { isValidTimezone, MISFIRE_MODES, MAX_MISFIRE_RUNS } from '../services/taskScheduler.js'
+import { JOB_PRIORITIES } from '../services/jobQueue.js'
+import { validateRetryPolicy } from './retryPolicy.js'
+import { validateJitter } from './jitter.js'
+
+export const VALID_TASK_TYPES = ['auto_flow', 'login']
+
+const MIN_TIMEOUT_MS = 60 * 1000
+const MAX_TIMEOUT_MS = 24 * 60 * 60 * 1000
+
+// 验证任务执行超时时间，null 表示使用任务类型的默认值
+export function validateTimeoutMs(timeoutMs) {
+  if (timeoutMs === null) {
+    return null
+  }
+  if (!Number.isInteger(timeoutMs) || timeoutMs < MIN_TIMEOUT_MS || timeoutMs > MAX_TIMEOUT_MS) {
+    return '执行超时时间必须在 1 分钟到 24 小时之间（毫秒）'
+  }
+  return null
+}
+
+// 验证错过执行的补偿策略，null 表示跳过错过的执行
+export function validateMisfirePolicy(misfirePolicy) {
+  if (misfirePolicy === null) {
+    return null
+  }
+  if (typeof misfirePolicy !== 'object' || Array.isArray(misfirePolicy)) {
+    return '补偿策略格式无效'
+  }
+  if (!MISFIRE_MODES.includes(misfirePolicy.mode)) {
+    return `无效的补偿方式，只支持: ${MISFIRE_MODES.join(', ')}`
+  }
+  const { maxRuns } = misfirePolicy
+  if (maxRuns !== undefined && (!Number.isInteger(maxRuns) || maxRuns < 1 || maxRuns > MAX_MISFIRE_RUNS)) {
+    return `最大补执行次数必须是 1 到 ${MAX_MISFIRE_RUNS} 之间的整数`
+  }
+  return null
+}
+
+// 验证任务引用的日历，返回转换后的日历ID列表或错误信息
+export async function resolveCalendarIds(calendarIds) {
+  if (calendarIds === null) {
+    return { calendarIds: [] }
+  }
+  if (!Array.isArray(calendarIds) || !calendarIds.every(id => ObjectId.isValid(id))) {
+    return { error: '日历ID列表格式无效' }
+  }
+
+  const ids = [...new Set(calendarIds.map(String))].map(id => new ObjectId(id))
+  const count = await getDatabase().collection('task_calendars').countDocuments({ _id: { $in: ids } })
+  if (count !== ids.length) {
+    return { error: '日历不存在' }
+  }
+  return { calendarIds: ids }
+}
+
+// 校验任务的 cron 表达式、时区、任务类型及各项策略
+export function validateTaskFields({ taskType, cronExpression, timezone, retryPolicy, misfirePolicy, timeoutMs, jitter, priority }) {
+  if (!cron.validate(cronExpression)) {
+    return '无效的Cron表达式'
+  }
+  if (!isValidTimezone(timezone)) {
+    return '无效的时区，请使用 IANA 时区名称，如 Asia/Shanghai'
+  }
+  if (!VALID_TASK_TYPES.includes(taskType)) {
+    return `无效的任务类型，只支持: ${VALID_TASK_TYPES.join(', ')}`
+  }
+  return validateRetryPolicy(retryPolicy)
+    || validateMisfirePolicy(misfirePolicy)
+    || validateTimeoutMs(timeoutMs)
+    || validateJitter(jitter)
+    || (Object.keys(JOB_PRIORITIES).includes(priority)
+      ? null
+      : `无效的优先级，只支持: ${Object.keys(JOB_PRIORITIES).join(', ')}`)
+}
+
+// 任务可以从模板继承的字段
+export const TEMPLATE_FIELDS = [
+  'cronExpression',
+  'timezone',
+  'config',
+  'retryPolicy',
+  'misfirePolicy',
+  'calendarIds',
+  'jitter',
+  'priority',
+  'timeoutMs',
+]
+
+/**
+ * 从请求数据中取出显式传入的模板字段，作为任务对模板的覆盖项
+ * @param {object} data - 请求数据
+ * @returns {object}
+ */
+export function pickTemplateOverrides(data) {
+  const overrides = {}
+  for (const field of TEMPLATE_FIELDS) {
+    if (data[field] !== undefined) {
+      overrides[field] = data[field]
+    }
+  }
+  return overrides
+}
+
+/**
+ * 合并模板字段和任务的覆盖项，得到任务实际使用的字段
+ * config 按第一层键合并，任务只需覆盖与模板不同的部分（如 autoConfig）
+ * @param {object} template - 任务模板
+ * @param {object} [overrides] - 任务的覆盖项
+ * @returns {object}
+ */
+export function resolveTemplateFields(template, overrides = {}) {
+  const fields = {}
+  for (const field of TEMPLATE_FIELDS) {
+    fields[field] = overrides[field] !== undefined ? overrides[field] : template[field]
+  }
+  fields.config = { ...(template.config || {}), ...(overrides.config || {}) }
+  return fields
+}